@@ -8,19 +8,40 @@ const TABS = [
   { key: "AI_EDU", label: "生成AI（教育・校務）" },
   { key: "AI_LATEST", label: "生成AI（最新事情・AIツール）" },
   { key: "MEXT", label: "文科省（MEXT）" },
+  { key: "ARCHIVE", label: "アーカイブ" },
+  { key: "DIGEST", label: "週刊まとめ" },
   { key: "X", label: "Xまとめ" },
   { key: "BOOKMARKS", label: "★ ブックマーク" }
 ];
 
-const LS_KEY = "itr.bookmarks.v1"; // stores { map: {id: itemMeta}, order: [id...] }
-const LS_X = "itr.xclips.v1";      // stores [{url,memo,ts}]
-const BOOKMARK_CAP = 500;
+// 高校情報Ⅰの学習指導要領 (1)-(4)。fetch側 scripts/rules.json の units と同じ番号
+const UNITS = [
+  { n: 1, label: "情報社会の問題解決" },
+  { n: 2, label: "コミュニケーションと情報デザイン" },
+  { n: 3, label: "コンピュータとプログラミング" },
+  { n: 4, label: "情報通信ネットワークとデータの活用" }
+];
+
+const LS_KEY = "itr.bookmarks.v1"; // legacy { map, order }: migrated into IndexedDB, fallback when it's unavailable
+const LS_X = "itr.xclips.v1";      // stores [{id,url,handle,statusId,memo,tags,ts,updatedAt}] (old: [{url,memo,ts}])
+const X_CAP = 500;                  // Xクリップの上限（パネルに件数を表示）
+const LS_VIEW = "itr.view.v1";     // "cards" | "compact"
+const DB_NAME = "itr";              // IndexedDB: object store "bookmarks" (keyPath id)
+const DB_VERSION = 1;
 
 let allItems = [];
 let filtered = [];
 let activeTab = "TODAY";
 let activeTag = null;
 
+// archive: index.json is fetched once, month shards on demand
+let archiveIndex = null;            // [{month, count}]
+const archiveCache = new Map();     // month -> items
+let archiveMonth = null;
+
+// weekly digests: data/digest/index.json
+let digestIndex = null;             // [{week, start, end, count, mext}]
+
 const $ = (id) => document.getElementById(id);
 
 function isoToDate(iso) {
@@ -36,92 +57,628 @@ function isoToDate(iso) {
 /* -------------------------
    Bookmarks
 ------------------------- */
-function loadBookmarks() {
+// IndexedDB が本体。読み込みは起動時の1回だけで、あとはメモリ上の bookmarks を引く
+// （{ map: {id: itemMeta}, order: [id...] } 新しい順。itemMeta.savedAt で並び順を保存）
+// itemMeta には記事情報に加えて、利用者の書き込み（note, collections, plannedDate, plannedUnit）を持つ
+let bookmarks = { map: {}, order: [] };
+let bookmarkDb = null;              // null: IndexedDB が使えず localStorage (LS_KEY) に保存
+
+// スキーマ変更は DB_UPGRADES に足して DB_VERSION を上げる（[i] が version i → i+1）
+const DB_UPGRADES = [
+  (db) => {
+    const store = db.createObjectStore("bookmarks", { keyPath: "id" });
+    store.createIndex("savedAt", "savedAt");
+  }
+];
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) return reject(new Error("IndexedDB unavailable"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (let v = e.oldVersion; v < DB_VERSION; v++) DB_UPGRADES[v](req.result, req.transaction);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"));
+  });
+}
+
+function dbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// fn(store) の書き込みが全部コミットされたら resolve
+function dbWrite(fn) {
+  return new Promise((resolve, reject) => {
+    const tx = bookmarkDb.transaction("bookmarks", "readwrite");
+    fn(tx.objectStore("bookmarks"));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("transaction aborted"));
+  });
+}
+
+function readLegacyBookmarks() {
   try {
     const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return { map: {}, order: [] };
+    if (!raw) return null;
     const obj = JSON.parse(raw);
-    if (!obj.map) obj.map = {};
-    if (!obj.order) obj.order = [];
-    return obj;
+    return { map: obj.map || {}, order: obj.order || [] };
   } catch {
-    return { map: {}, order: [] };
+    return null;
+  }
+}
+
+// 旧形式の order（新しい順）を savedAt に置き換える
+function legacyRecords(legacy) {
+  const now = Date.now();
+  return legacy.order
+    .filter((id) => legacy.map[id])
+    .map((id, i) => ({ ...legacy.map[id], id, savedAt: legacy.map[id].savedAt || now - i }));
+}
+
+// 書き込み欄の既定値と型をそろえる（古い保存データ・読み込みファイル用）
+function normalizeBookmark(rec) {
+  const unit = Number(rec.plannedUnit);
+  return {
+    ...rec,
+    note: typeof rec.note === "string" ? rec.note : "",
+    collections: parseCollections(rec.collections),
+    plannedDate: /^\d{4}-\d{2}-\d{2}$/.test(rec.plannedDate || "") ? rec.plannedDate : "",
+    plannedUnit: UNITS.some((u) => u.n === unit) ? unit : null
+  };
+}
+
+// "2学期 情報モラル, 校内研修ネタ" や配列 -> 重複なしの配列
+function parseCollections(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[,、，]/);
+  return Array.from(new Set(list.map((c) => String(c).trim()).filter(Boolean)));
+}
+
+function setBookmarkRecords(records) {
+  records = records.map(normalizeBookmark);
+  records.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+  bookmarks = { map: {}, order: [] };
+  for (const r of records) {
+    bookmarks.map[r.id] = r;
+    bookmarks.order.push(r.id);
+  }
+}
+
+async function openBookmarkStore() {
+  try {
+    bookmarkDb = await openDb();
+    const legacy = readLegacyBookmarks();
+    if (legacy) {
+      // 既にある id（別タブで移行済みなど）は上書きしない
+      const records = legacyRecords(legacy);
+      await dbWrite((store) => {
+        for (const r of records) {
+          store.add(r).onerror = (e) => e.preventDefault();
+        }
+      });
+      localStorage.removeItem(LS_KEY);
+    }
+    setBookmarkRecords(await dbRequest(bookmarkDb.transaction("bookmarks").objectStore("bookmarks").getAll()));
+  } catch (e) {
+    console.error(e);
+    bookmarkDb = null;
+    const legacy = readLegacyBookmarks();
+    setBookmarkRecords(legacy ? legacyRecords(legacy) : []);
+    showStorageWarning("IndexedDB が使えないため、ブックマークはこのブラウザの localStorage に保存しています。");
   }
+  checkStorageQuota();
 }
 
-function saveBookmarks(bm) {
-  localStorage.setItem(LS_KEY, JSON.stringify(bm));
+function loadBookmarks() {
+  return bookmarks;
+}
+
+// 変更分だけ保存（put: 追加・更新、remove: 削除する id、clear: 先に全削除）。失敗はメモリ上は残して警告
+// -> true: 保存できた / false: できなかった
+async function persistBookmarks({ put = [], remove = [], clear = false } = {}) {
+  try {
+    if (bookmarkDb) {
+      await dbWrite((store) => {
+        if (clear) store.clear();
+        put.forEach((r) => store.put(r));
+        remove.forEach((id) => store.delete(id));
+      });
+    } else {
+      localStorage.setItem(LS_KEY, JSON.stringify(bookmarks));
+    }
+  } catch (e) {
+    console.error(e);
+    const full = e && (e.name === "QuotaExceededError" || /quota/i.test(e.message || ""));
+    showStorageWarning(
+      full
+        ? "保存容量がいっぱいで、ブックマークを保存できませんでした。不要なデータを消すか、書き出してください。"
+        : "ブックマークを保存できませんでした: " + ((e && e.message) || e)
+    );
+    return false;
+  }
+  checkStorageQuota();
+  return true;
 }
 
 function isBookmarked(id) {
-  const bm = loadBookmarks();
-  return !!bm.map[id];
+  return !!bookmarks.map[id];
 }
 
 function toggleBookmark(item) {
-  const bm = loadBookmarks();
+  const bm = bookmarks;
 
   if (bm.map[item.id]) {
     delete bm.map[item.id];
     bm.order = bm.order.filter((x) => x !== item.id);
-  } else {
-    bm.map[item.id] = {
-      id: item.id,
-      title: item.title,
-      url: item.url,
-      source: item.source,
-      publishedAt: item.publishedAt,
-      tab: item.tab,
-      tags: item.tags || [],
-      score: item.score || 0
+    persistBookmarks({ remove: [item.id] });
+    return;
+  }
+
+  const rec = {
+    id: item.id,
+    title: item.title,
+    url: item.url,
+    source: item.source,
+    publishedAt: item.publishedAt,
+    tab: item.tab,
+    tags: item.tags || [],
+    units: itemUnits(item),
+    score: item.score || 0,
+    summary: item.summary || "",
+    imageUrl: item.imageUrl || "",
+    savedAt: Date.now(),
+    note: "",
+    collections: [],
+    plannedDate: "",
+    plannedUnit: null
+  };
+  bm.map[item.id] = rec;
+  bm.order.unshift(item.id);
+  persistBookmarks({ put: [rec] });
+  requestPersistentStorage();
+}
+
+function updateBookmark(id, patch) {
+  const cur = bookmarks.map[id];
+  if (!cur) return;
+  const rec = normalizeBookmark({ ...cur, ...patch });
+  bookmarks.map[id] = rec;
+  persistBookmarks({ put: [rec] });
+}
+
+// 読み込み時、既にあるブックマークには空欄だけ補う（コレクションは足し合わせ）
+function mergeBookmarkNotes(cur, inc) {
+  return normalizeBookmark({
+    ...cur,
+    note: cur.note || inc.note,
+    collections: [...(cur.collections || []), ...parseCollections(inc.collections)],
+    plannedDate: cur.plannedDate || inc.plannedDate,
+    plannedUnit: cur.plannedUnit || inc.plannedUnit
+  });
+}
+
+/* -------------------------
+   Bookmark notes / collections
+------------------------- */
+const COLLECTION_NONE = "__NONE__";
+
+// [[name, count]...] 名前順
+function bookmarkCollections() {
+  const counts = new Map();
+  for (const id of bookmarks.order) {
+    for (const c of bookmarks.map[id].collections) counts.set(c, (counts.get(c) || 0) + 1);
+  }
+  return Array.from(counts.entries()).sort((a, b) => a[0].localeCompare(b[0], "ja"));
+}
+
+function renderCollectionSelect() {
+  const sel = $("collectionSelect");
+  const current = sel.value || "ALL";
+  sel.innerHTML = "";
+  const add = (value, label) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    sel.appendChild(opt);
+  };
+  add("ALL", "すべてのコレクション");
+  const list = bookmarkCollections();
+  for (const [name, count] of list) add(name, `${name}（${count}）`);
+  add(COLLECTION_NONE, "未分類");
+  sel.value = current === "ALL" || current === COLLECTION_NONE || list.some(([n]) => n === current) ? current : "ALL";
+
+  // 編集欄の候補
+  const dl = $("collectionList");
+  dl.innerHTML = "";
+  for (const [name] of list) {
+    const opt = document.createElement("option");
+    opt.value = name;
+    dl.appendChild(opt);
+  }
+}
+
+function filterByCollection(items) {
+  const v = $("collectionSelect").value;
+  if (v === "ALL") return items;
+  if (v === COLLECTION_NONE) return items.filter((x) => !(x.collections || []).length);
+  return items.filter((x) => (x.collections || []).includes(v));
+}
+
+// 予定日のあるものを日付順に先頭へ、ないものは保存した順のまま後ろへ
+function sortByPlannedDate(items) {
+  return items
+    .map((it, i) => ({ it, i }))
+    .sort((a, b) => {
+      const da = a.it.plannedDate;
+      const db = b.it.plannedDate;
+      if (da && db && da !== db) return da < db ? -1 : 1;
+      if (!!da !== !!db) return da ? -1 : 1;
+      return a.i - b.i;
+    })
+    .map((x) => x.it);
+}
+
+function plannedLabel(rec) {
+  const parts = [];
+  if (rec.plannedDate) parts.push(rec.plannedDate.replace(/-/g, "/"));
+  if (rec.plannedUnit) parts.push(unitLabel(rec.plannedUnit));
+  return parts.length ? `授業予定: ${parts.join(" ・ ")}` : "";
+}
+
+// ブックマーク一覧のカードに付ける「メモ・コレクション・授業予定」欄（その場で編集）
+function renderBookmarkNote(rec) {
+  const box = document.createElement("div");
+  box.className = "bmNote";
+
+  const view = () => {
+    box.innerHTML = "";
+    if (rec.collections.length) {
+      const row = document.createElement("div");
+      row.className = "pills";
+      for (const c of rec.collections) {
+        const p = document.createElement("button");
+        p.className = "pill collectionPill";
+        p.textContent = c;
+        p.title = "このコレクションで絞り込む";
+        p.onclick = () => {
+          $("collectionSelect").value = c;
+          applyFilters();
+        };
+        row.appendChild(p);
+      }
+      box.appendChild(row);
+    }
+    const planned = plannedLabel(rec);
+    if (planned) {
+      const d = document.createElement("div");
+      d.className = "bmPlanned";
+      d.textContent = planned;
+      box.appendChild(d);
+    }
+    if (rec.note) {
+      const n = document.createElement("div");
+      n.className = "bmNoteText";
+      n.textContent = rec.note;
+      box.appendChild(n);
+    }
+    const edit = document.createElement("button");
+    edit.className = "xBtn bmEditBtn";
+    edit.textContent = rec.note || rec.collections.length || planned ? "メモを編集" : "メモ・授業予定を追加";
+    edit.onclick = form;
+    box.appendChild(edit);
+  };
+
+  const form = () => {
+    box.innerHTML = "";
+    const f = document.createElement("div");
+    f.className = "bmForm";
+
+    const note = document.createElement("textarea");
+    note.className = "input";
+    note.rows = 3;
+    note.placeholder = "メモ（なぜ保存したか、授業での使い方など）";
+    note.value = rec.note;
+
+    const cols = document.createElement("input");
+    cols.className = "input";
+    cols.placeholder = "コレクション（カンマ区切り。例: 2学期 情報モラル, 校内研修ネタ）";
+    cols.setAttribute("list", "collectionList");
+    cols.value = rec.collections.join(", ");
+
+    const date = document.createElement("input");
+    date.className = "input";
+    date.type = "date";
+    date.title = "授業予定日";
+    date.value = rec.plannedDate;
+
+    const unit = document.createElement("select");
+    unit.className = "select";
+    unit.title = "授業で扱う単元";
+    for (const [value, label] of [["", "単元（未定）"], ...UNITS.map((u) => [String(u.n), unitLabel(u.n)])]) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      unit.appendChild(opt);
+    }
+    unit.value = rec.plannedUnit ? String(rec.plannedUnit) : "";
+
+    const save = document.createElement("button");
+    save.className = "btn";
+    save.textContent = "保存";
+    save.onclick = () => {
+      updateBookmark(rec.id, {
+        note: note.value.trim(),
+        collections: cols.value,
+        plannedDate: date.value,
+        plannedUnit: unit.value ? Number(unit.value) : null
+      });
+      renderCollectionSelect();
+      applyFilters();
     };
-    bm.order.unshift(item.id);
 
-    if (bm.order.length > BOOKMARK_CAP) {
-      const removed = bm.order.slice(BOOKMARK_CAP);
-      removed.forEach((id) => delete bm.map[id]);
-      bm.order = bm.order.slice(0, BOOKMARK_CAP);
+    const cancel = document.createElement("button");
+    cancel.className = "xBtn";
+    cancel.textContent = "キャンセル";
+    cancel.onclick = view;
+
+    const row = document.createElement("div");
+    row.className = "bmFormRow";
+    row.append(date, unit, save, cancel);
+    f.append(note, cols, row);
+    box.appendChild(f);
+    note.focus();
+  };
+
+  view();
+  return box;
+}
+
+/* -------------------------
+   Storage quota
+------------------------- */
+const QUOTA_WARN_RATIO = 0.9;
+let quotaCheckedAt = 0;
+
+function showStorageWarning(text) {
+  const el = $("storageWarning");
+  el.textContent = text;
+  el.hidden = false;
+}
+
+// navigator.storage.estimate() は重くはないが、保存のたびに呼ぶ必要はない
+async function checkStorageQuota() {
+  if (!navigator.storage || !navigator.storage.estimate) return;
+  if (Date.now() - quotaCheckedAt < 60 * 1000) return;
+  quotaCheckedAt = Date.now();
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    if (quota && usage / quota >= QUOTA_WARN_RATIO) {
+      const mb = (n) => (n / 1024 / 1024).toFixed(1);
+      showStorageWarning(
+        `保存容量が残りわずかです（${mb(usage)} / ${mb(quota)} MB）。ブックマークを書き出しておいてください。`
+      );
     }
+  } catch (e) {
+    console.error(e);
   }
+}
+
+// ★は永久保存なので、ブラウザの自動削除の対象外にしてもらう（許可されなくても動作は同じ）
+function requestPersistentStorage() {
+  if (!navigator.storage || !navigator.storage.persist) return;
+  navigator.storage.persisted().then((done) => done || navigator.storage.persist()).catch(() => {});
+}
+
+/* -------------------------
+   Curriculum units
+------------------------- */
+// units が無い古いブックマークは、いまの items.json から引く
+function itemUnits(it) {
+  if (Array.isArray(it.units)) return it.units;
+  const cur = allItems.find((x) => x.id === it.id);
+  return (cur && cur.units) || [];
+}
 
-  saveBookmarks(bm);
+function unitLabel(n) {
+  const u = UNITS.find((x) => x.n === n);
+  return u ? `(${u.n}) ${u.label}` : `(${n})`;
+}
+
+// 単元フィルタ（"ALL" または "1".."4"）。タブを切り替えても維持する
+function filterByUnit(items) {
+  const v = $("unitSelect").value;
+  if (v === "ALL") return items;
+  const n = Number(v);
+  // ブックマークは授業予定の単元でも当たる
+  return items.filter((x) => itemUnits(x).includes(n) || x.plannedUnit === n);
 }
 
 /* -------------------------
    X clips (manual)
 ------------------------- */
+// 旧形式 {url, memo, ts} も読めるよう、読み込み時に normalizeClip でそろえる
 function loadX() {
   try {
     const raw = localStorage.getItem(LS_X);
     if (!raw) return [];
     const arr = JSON.parse(raw);
-    return Array.isArray(arr) ? arr : [];
+    return Array.isArray(arr) ? arr.map(normalizeClip).filter(Boolean) : [];
   } catch {
     return [];
   }
 }
 function saveX(arr) {
-  localStorage.setItem(LS_X, JSON.stringify(arr));
+  try {
+    localStorage.setItem(LS_X, JSON.stringify(arr));
+    return true;
+  } catch (e) {
+    console.error(e);
+    showStorageWarning("Xクリップを保存できませんでした（保存容量がいっぱいの可能性があります）。");
+    return false;
+  }
+}
+
+// x.com / twitter.com（mobile・www・fxtwitter などの別名も）の投稿・プロフィールURL
+const X_HOSTS = /^(?:www\.|mobile\.)?(?:x|twitter|fxtwitter|vxtwitter|fixupx)\.com$/;
+// プロフィールと紛らわしい x.com のページ
+const X_RESERVED = new Set(["home", "explore", "search", "notifications", "messages", "settings", "i", "hashtag", "intent", "share", "compose", "login", "signup", "tos", "privacy"]);
+
+// -> { url, handle, statusId } / null（Xの投稿・プロフィールではない）
+function parseXUrl(input) {
+  let u;
+  try {
+    const raw = String(input || "").trim();
+    u = new URL(/^https?:\/\//i.test(raw) ? raw : "https://" + raw);
+  } catch {
+    return null;
+  }
+  if (!X_HOSTS.test(u.hostname.toLowerCase())) return null;
+
+  const parts = u.pathname.split("/").filter(Boolean);
+  // /i/web/status/123, /i/status/123
+  if (parts[0] === "i") {
+    const at = parts.indexOf("status");
+    const id = at > 0 ? parts[at + 1] : "";
+    return /^\d+$/.test(id || "") ? { url: `https://x.com/i/status/${id}`, handle: "", statusId: id } : null;
+  }
+  const handle = parts[0] || "";
+  if (!/^\w{1,15}$/.test(handle) || X_RESERVED.has(handle.toLowerCase())) return null;
+  // /handle/status/123(/photo/1 など)
+  if (parts[1] === "status" || parts[1] === "statuses") {
+    const id = parts[2] || "";
+    return /^\d+$/.test(id) ? { url: `https://x.com/${handle}/status/${id}`, handle, statusId: id } : null;
+  }
+  return parts.length === 1 ? { url: `https://x.com/${handle}`, handle, statusId: "" } : null;
 }
 
-function renderXList() {
+// 同じ投稿なら同じ id（ハンドル変更や twitter.com / x.com の違いを無視）
+function clipId(parsed) {
+  return parsed.statusId ? `x:${parsed.statusId}` : `x:@${parsed.handle.toLowerCase()}`;
+}
+
+// -> { id, url, handle, statusId, memo, tags, ts, updatedAt } / null（URLが読めないもの）
+function normalizeClip(c) {
+  if (!c || typeof c !== "object") return null;
+  const parsed = parseXUrl(c.url);
+  const ts = Number(c.ts) || Date.now();
+  return {
+    // Xの投稿でないURL（旧データ）もそのまま残す
+    id: parsed ? clipId(parsed) : `url:${String(c.url || "").trim()}`,
+    url: parsed ? parsed.url : String(c.url || "").trim(),
+    handle: parsed ? parsed.handle : "",
+    statusId: parsed ? parsed.statusId : "",
+    memo: typeof c.memo === "string" ? c.memo : "",
+    tags: parseCollections(c.tags),
+    ts,
+    updatedAt: Number(c.updatedAt) || ts
+  };
+}
+
+function clipCounter(arr) {
+  const el = $("xCount");
+  el.textContent = `${arr.length} / ${X_CAP}件`;
+  el.classList.toggle("full", arr.length >= X_CAP);
+  $("xAddBtn").disabled = arr.length >= X_CAP;
+  if (arr.length >= X_CAP) {
+    showXMessage(`上限の${X_CAP}件に達しています。古いクリップを削除するか、書き出してから整理してください。`, true);
+  }
+}
+
+function showXMessage(text, isError = false) {
+  const el = $("xMessage");
+  el.textContent = text;
+  el.hidden = !text;
+  el.classList.toggle("error", isError);
+}
+
+function addXClip() {
+  const parsed = parseXUrl($("xUrl").value);
+  if (!parsed) {
+    showXMessage("Xの投稿URL（x.com/ユーザー名/status/数字）かプロフィールURLを入れてください。", true);
+    return;
+  }
+  const arr = loadX();
+  const id = clipId(parsed);
+  const dup = arr.find((x) => x.id === id);
+  if (dup) {
+    showXMessage(`既に保存済みです（${new Date(dup.ts).toLocaleDateString("ja-JP")} 追加）。メモは「編集」から変更できます。`, true);
+    renderXList(id);
+    return;
+  }
+  if (arr.length >= X_CAP) return;
+
+  const now = Date.now();
+  arr.unshift({ id, ...parsed, memo: $("xMemo").value.trim(), tags: parseCollections($("xTags").value), ts: now, updatedAt: now });
+  if (!saveX(arr)) return;
+
+  $("xUrl").value = "";
+  $("xMemo").value = "";
+  $("xTags").value = "";
+  showXMessage("");
+  renderXList();
+}
+
+function updateXClip(id, patch) {
+  const arr = loadX().map((x) => (x.id === id ? { ...x, ...patch, updatedAt: Date.now() } : x));
+  saveX(arr);
+  renderXList();
+}
+
+// 記事と同じ検索語が使える（title: はメモ、source: はハンドル）
+function clipMatches(c, terms) {
+  const tags = c.tags.map(normText);
+  return matchesFields(
+    {
+      title: normText(c.memo),
+      source: normText(c.handle),
+      tags,
+      tab: "",
+      all: [normText(c.memo), normText(c.handle ? "@" + c.handle : ""), tags.join(" "), normText(c.url)].join(" ")
+    },
+    terms
+  );
+}
+
+// focusId: 重複を入れようとしたときに、既存のクリップを目立たせる
+function renderXList(focusId = null) {
   const list = $("xList");
   if (!list) return;
   list.innerHTML = "";
 
-  const arr = loadX().sort((a, b) => (b.ts || 0) - (a.ts || 0));
+  const all = loadX().sort((a, b) => (b.ts || 0) - (a.ts || 0));
+  clipCounter(all);
+
+  // 同じ投稿が複数ある（旧データ）ものに印を付ける
+  const seen = new Map();
+  for (const c of all) seen.set(c.id, (seen.get(c.id) || 0) + 1);
+
+  const terms = parseQuery($("xSearch").value);
+  const arr = terms.length ? all.filter((c) => clipMatches(c, terms)) : all;
+  if (!arr.length) {
+    const empty = document.createElement("div");
+    empty.className = "muted small";
+    empty.textContent = all.length ? "検索に合うクリップはありません。" : "まだクリップはありません。";
+    list.appendChild(empty);
+  }
 
   for (const item of arr) {
     const box = document.createElement("div");
-    box.className = "xItem";
+    box.className = "xItem" + (item.id === focusId ? " focus" : "");
 
     const top = document.createElement("div");
     top.className = "xItemTop";
 
     const left = document.createElement("div");
+    left.className = "xItemBody";
     const url = document.createElement("div");
     url.className = "xUrl";
-    url.textContent = item.url;
+    url.textContent = item.handle ? `@${item.handle}${item.statusId ? ` ・ ${item.statusId}` : "（プロフィール）"}` : item.url;
+    url.title = item.url;
     left.appendChild(url);
 
     const memo = document.createElement("div");
@@ -129,6 +686,28 @@ function renderXList() {
     memo.textContent = item.memo ? item.memo : "（メモなし）";
     left.appendChild(memo);
 
+    const pills = document.createElement("div");
+    pills.className = "pills";
+    if (seen.get(item.id) > 1) {
+      const p = document.createElement("span");
+      p.className = "pill dupPill";
+      p.textContent = "重複";
+      p.title = "同じ投稿が複数保存されています";
+      pills.appendChild(p);
+    }
+    for (const t of item.tags) {
+      const p = document.createElement("button");
+      p.className = "pill collectionPill";
+      p.textContent = t;
+      p.title = "このタグで絞り込む";
+      p.onclick = () => {
+        $("xSearch").value = `tag:${t}`;
+        renderXList();
+      };
+      pills.appendChild(p);
+    }
+    if (pills.childNodes.length) left.appendChild(pills);
+
     const actions = document.createElement("div");
     actions.className = "xActions";
 
@@ -139,16 +718,25 @@ function renderXList() {
     open.target = "_blank";
     open.rel = "noopener noreferrer";
 
+    const edit = document.createElement("button");
+    edit.className = "xBtn";
+    edit.textContent = "編集";
+    edit.onclick = () => {
+      box.replaceChildren(renderXEditor(item));
+    };
+
     const del = document.createElement("button");
     del.className = "xBtn";
     del.textContent = "削除";
     del.onclick = () => {
-      const next = loadX().filter((x) => x.ts !== item.ts);
+      // 重複（同じ id）は1件ずつ消せるよう ts も見る
+      const next = loadX().filter((x) => !(x.id === item.id && x.ts === item.ts));
       saveX(next);
       renderXList();
     };
 
     actions.appendChild(open);
+    actions.appendChild(edit);
     actions.appendChild(del);
 
     top.appendChild(left);
@@ -156,9 +744,47 @@ function renderXList() {
 
     box.appendChild(top);
     list.appendChild(box);
+    if (item.id === focusId) box.scrollIntoView({ block: "nearest" });
   }
 }
 
+function renderXEditor(item) {
+  const f = document.createElement("div");
+  f.className = "bmForm";
+
+  const head = document.createElement("div");
+  head.className = "xUrl";
+  head.textContent = item.url;
+
+  const memo = document.createElement("textarea");
+  memo.className = "input";
+  memo.rows = 2;
+  memo.placeholder = "メモ";
+  memo.value = item.memo;
+
+  const tags = document.createElement("input");
+  tags.className = "input";
+  tags.placeholder = "タグ（カンマ区切り）";
+  tags.value = item.tags.join(", ");
+
+  const save = document.createElement("button");
+  save.className = "btn";
+  save.textContent = "保存";
+  save.onclick = () => updateXClip(item.id, { memo: memo.value.trim(), tags: parseCollections(tags.value) });
+
+  const cancel = document.createElement("button");
+  cancel.className = "xBtn";
+  cancel.textContent = "キャンセル";
+  cancel.onclick = () => renderXList();
+
+  const row = document.createElement("div");
+  row.className = "bmFormRow";
+  row.append(save, cancel);
+  f.append(head, memo, tags, row);
+  setTimeout(() => memo.focus(), 0);
+  return f;
+}
+
 function showXPanel(show) {
   const panel = $("xPanel");
   if (!panel) return;
@@ -166,6 +792,84 @@ function showXPanel(show) {
   if (show) renderXList();
 }
 
+/* -------------------------
+   Weekly digest (data/digest/YYYY-Www.md / .html)
+------------------------- */
+async function loadDigestIndex() {
+  if (digestIndex) return digestIndex;
+  const res = await fetch("./data/digest/index.json?_=" + Date.now());
+  if (!res.ok) throw new Error("digest index load failed");
+  const data = await res.json();
+  digestIndex = data.digests || [];
+  return digestIndex;
+}
+
+function weekLabel(d) {
+  const m = /^(\d{4})-W(\d{2})$/.exec(d.week) || [];
+  const range = `${d.start.slice(5).replace("-", "/")}〜${d.end.slice(5).replace("-", "/")}`;
+  return `${m[1]}年 第${Number(m[2])}週（${range}）`;
+}
+
+function renderDigestList() {
+  const list = $("digestList");
+  list.innerHTML = "";
+
+  for (const d of digestIndex || []) {
+    const box = document.createElement("div");
+    box.className = "xItem";
+
+    const top = document.createElement("div");
+    top.className = "xItemTop";
+
+    const left = document.createElement("div");
+    const title = document.createElement("div");
+    title.className = "xUrl";
+    title.textContent = weekLabel(d);
+    left.appendChild(title);
+
+    const meta = document.createElement("div");
+    meta.className = "xMemo";
+    meta.textContent = `${d.count}件` + (d.mext ? ` ・ 文科省の新着 ${d.mext}件` : "");
+    left.appendChild(meta);
+
+    const actions = document.createElement("div");
+    actions.className = "xActions";
+    const link = (label, href) => {
+      const a = document.createElement("a");
+      a.className = "xBtn";
+      a.textContent = label;
+      a.href = href;
+      a.target = "_blank";
+      a.rel = "noopener noreferrer";
+      return a;
+    };
+    actions.appendChild(link("印刷用HTML", `./data/digest/${d.week}.html`));
+    actions.appendChild(link("Markdown", `./data/digest/${d.week}.md`));
+
+    top.appendChild(left);
+    top.appendChild(actions);
+    box.appendChild(top);
+    list.appendChild(box);
+  }
+}
+
+async function showDigestPanel(show) {
+  const panel = $("digestPanel");
+  if (!panel) return;
+  panel.hidden = !show;
+  if (!show) return;
+
+  try {
+    await loadDigestIndex();
+  } catch (e) {
+    console.error(e);
+    digestIndex = [];
+  }
+  if (activeTab !== "DIGEST") return;
+  renderDigestList();
+  $("emptyState").hidden = digestIndex.length !== 0;
+}
+
 /* -------------------------
    Nav / Tabs
 ------------------------- */
@@ -173,7 +877,7 @@ function renderNav() {
   const nav = $("navTabs");
   nav.innerHTML = "";
 
-  const mainTabs = TABS.filter((t) => !["TODAY", "BOOKMARKS", "X"].includes(t.key));
+  const mainTabs = TABS.filter((t) => !["TODAY", "BOOKMARKS", "X", "ARCHIVE", "DIGEST"].includes(t.key));
   for (const t of mainTabs) {
     const btn = document.createElement("button");
     btn.className = "navBtn" + (activeTab === t.key ? " active" : "");
@@ -192,6 +896,8 @@ function updateTitles() {
     AI_EDU: "生成AI（教育・校務）",
     AI_LATEST: "生成AI（最新事情・AIツール）",
     MEXT: "文科省（MEXT）",
+    ARCHIVE: "アーカイブ（月別）",
+    DIGEST: "週刊まとめ",
     BOOKMARKS: "★ ブックマーク（永久）",
     X: "Xまとめ（手動クリップ）"
   };
@@ -200,9 +906,13 @@ function updateTitles() {
 
   $("viewSub").textContent =
     activeTab === "BOOKMARKS"
-      ? "ブックマークは7日を超えても残ります（端末内に保存）。"
+      ? "ブックマークは7日を超えても残ります（端末内に保存）。メモ・コレクション・授業予定を付けて整理できます。"
       : activeTab === "X"
       ? "XのURLを手動でクリップして、後から見返すためのタブです。"
+      : activeTab === "ARCHIVE"
+      ? "7日を過ぎた記事も月ごとに残しています。タブ・タグ・検索で絞り込めます。"
+      : activeTab === "DIGEST"
+      ? "毎週の上位記事をタブ・タグ別にまとめています。校内向けのお便りにそのまま使えます。"
       : "授業に効く情報を上に、自動で並べます。";
 }
 
@@ -222,21 +932,246 @@ function setTab(tabKey) {
   $("sortSelect").value = "score";
   $("daysSelect").value = "7";
 
-  // X/BOOKMARKSは日数フィルタ不要
-  $("daysSelect").disabled = tabKey === "BOOKMARKS" || tabKey === "X";
+  // X/BOOKMARKS/ARCHIVEは日数フィルタ不要
+  const isArchive = tabKey === "ARCHIVE";
+  $("daysSelect").disabled = tabKey === "BOOKMARKS" || tabKey === "X" || isArchive;
+  $("daysSelect").hidden = isArchive;
+  $("archiveMonthSelect").hidden = !isArchive;
+  $("archiveTabSelect").hidden = !isArchive;
+  $("archiveTabSelect").value = "ALL";
+
+  // コレクション・予定日順はブックマークだけ
+  const isBookmarks = tabKey === "BOOKMARKS";
+  $("collectionSelect").hidden = !isBookmarks;
+  $("collectionSelect").value = "ALL";
+  $("sortPlanned").hidden = !isBookmarks;
+  $("sortPlanned").disabled = !isBookmarks;
+  if (isBookmarks) renderCollectionSelect();
 
   updateTitles();
   renderNav();
 
-  // Xパネル切り替え
+  // Xパネル / 週刊まとめパネル切り替え
   const isX = (tabKey === "X");
+  const isDigest = (tabKey === "DIGEST");
   showXPanel(isX);
+  showDigestPanel(isDigest);
 
-  // XのときはフィルタUIを隠す（Notionっぽくすっきり）
-  setFiltersVisible(!isX);
+  // X・週刊まとめのときはフィルタUIを隠す（Notionっぽくすっきり）
+  setFiltersVisible(!isX && !isDigest);
 
   renderTags();
   applyFilters();
+
+  if (isArchive) openArchive();
+}
+
+/* -------------------------
+   Archive (data/archive/YYYY-MM.json)
+------------------------- */
+async function loadArchiveIndex() {
+  if (archiveIndex) return archiveIndex;
+  const res = await fetch("./data/archive/index.json?_=" + Date.now());
+  if (!res.ok) throw new Error("archive index load failed");
+  const data = await res.json();
+  archiveIndex = data.months || [];
+  return archiveIndex;
+}
+
+async function loadArchiveMonth(month) {
+  if (archiveCache.has(month)) return archiveCache.get(month);
+  const res = await fetch(`./data/archive/${month}.json?_=` + Date.now());
+  if (!res.ok) throw new Error(`archive ${month} load failed`);
+  const data = await res.json();
+  const items = (data.items || []).map((x) => ({ ...x, tags: x.tags || [] }));
+  archiveCache.set(month, items);
+  return items;
+}
+
+function renderArchiveMonths() {
+  const sel = $("archiveMonthSelect");
+  sel.innerHTML = "";
+  for (const m of archiveIndex || []) {
+    const opt = document.createElement("option");
+    opt.value = m.month;
+    opt.textContent = `${m.month.replace("-", "年")}月（${m.count}件）`;
+    sel.appendChild(opt);
+  }
+  if (archiveMonth) sel.value = archiveMonth;
+}
+
+async function openArchive(month) {
+  try {
+    await loadArchiveIndex();
+    archiveMonth = month || archiveMonth || (archiveIndex[0] && archiveIndex[0].month) || null;
+    renderArchiveMonths();
+    if (archiveMonth) await loadArchiveMonth(archiveMonth);
+  } catch (e) {
+    console.error(e);
+    $("viewSub").textContent = "アーカイブがまだありません（次回の取得後に作成されます）。";
+  }
+  if (activeTab !== "ARCHIVE") return;
+  renderTags();
+  applyFilters();
+}
+
+function archiveItems() {
+  const items = (archiveMonth && archiveCache.get(archiveMonth)) || [];
+  const tab = $("archiveTabSelect").value;
+  return tab === "ALL" ? items : items.filter((x) => x.tab === tab);
+}
+
+/* -------------------------
+   Search (normalisation + query syntax)
+------------------------- */
+// 検索語: スペース区切りでAND、-語 で除外、"フレーズ"、tag: / source: / tab: / title: で項目指定
+const SEARCH_FIELDS = ["tag", "source", "tab", "title"];
+let searchTerms = []; // title highlight terms for renderCards
+
+const ROMAN = { i: 1, v: 5, x: 10 };
+
+function romanToNumber(s) {
+  let n = 0;
+  for (let i = 0; i < s.length; i++) {
+    const v = ROMAN[s[i]];
+    n += i + 1 < s.length && ROMAN[s[i + 1]] > v ? -v : v;
+  }
+  return n > 0 && n < 40 ? n : 0;
+}
+
+/**
+ * Text -> comparable form, plus where each character came from:
+ * NFKC (全角→半角, Ⅰ→I), lowercase, カタカナ→ひらがな, whitespace collapsed,
+ * Roman numerals → digits: Ⅰ–Ⅻ anywhere, latin i / ii / iii only right after 情報
+ * (情報Ⅰ / 情報I / 情報1 all become 情報1; X（旧Twitter） stays x).
+ * map[i] = [start, end) of normalised char i in the original string.
+ */
+function normalizeWithMap(str) {
+  const src = String(str || "");
+  let chars = [];
+  for (let i = 0; i < src.length; ) {
+    const cp = src.codePointAt(i);
+    let len = cp > 0xffff ? 2 : 1;
+    // half-width ﾞ / ﾟ belong to the kana before them
+    const next = src.charCodeAt(i + len);
+    if (next === 0xff9e || next === 0xff9f) len += 1;
+    let out = src.slice(i, i + len).normalize("NFKC").toLowerCase();
+    out = out.replace(/[\u30a1-\u30f6]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0x60));
+    const roman = (cp >= 0x2160 && cp <= 0x216b) || (cp >= 0x2170 && cp <= 0x217b);
+    for (const ch of out) {
+      const ws = /\s/.test(ch);
+      if (ws && (!chars.length || chars[chars.length - 1].ch === " ")) continue;
+      chars.push({ ch: ws ? " " : ch, start: i, end: i + len, roman });
+    }
+    i += len;
+  }
+  if (chars.length && chars[chars.length - 1].ch === " ") chars.pop();
+
+  // Roman numerals. Work on chars indices, not string offsets: an emoji is one
+  // entry in chars but two UTF-16 units in a joined string.
+  const afterJoho = (k) => {
+    let j = k - 1;
+    if (j >= 0 && chars[j].ch === " ") j--;
+    return j >= 1 && chars[j - 1].ch === "情" && chars[j].ch === "報";
+  };
+  const folded = [];
+  for (let k = 0; k < chars.length; ) {
+    let end = k;
+    if (chars[k].roman) {
+      // Ⅻ -> "xii": one source character, several chars entries
+      while (end < chars.length && chars[end].start === chars[k].start) end++;
+    } else if (chars[k].ch === "i" && afterJoho(k)) {
+      while (end < chars.length && end - k < 3 && chars[end].ch === "i") end++;
+      if (end < chars.length && /[a-z]/.test(chars[end].ch)) end = k;
+    }
+    const n = end > k ? romanToNumber(chars.slice(k, end).map((c) => c.ch).join("")) : 0;
+    if (!n) {
+      folded.push(chars[k++]);
+      continue;
+    }
+    for (const d of String(n)) folded.push({ ch: d, start: chars[k].start, end: chars[end - 1].end });
+    k = end;
+  }
+  chars = folded;
+
+  return { text: chars.map((c) => c.ch).join(""), map: chars.map((c) => [c.start, c.end]) };
+}
+
+const normText = (s) => normalizeWithMap(s).text;
+
+/** 'GIGA -募集 "生成 AI" tag:校務DX' -> [{ neg, field, value }] (values normalised) */
+function parseQuery(q) {
+  const terms = [];
+  const re = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  for (const m of String(q || "").matchAll(re)) {
+    let field = (m[2] || "").toLowerCase();
+    let raw = m[3] !== undefined ? m[3] : m[4];
+    // "https://..." etc.: not a field prefix, search the token as typed
+    if (field && !SEARCH_FIELDS.includes(field)) {
+      raw = `${m[2]}:${raw}`;
+      field = "";
+    }
+    const value = normText(raw);
+    if (!value) continue;
+    terms.push({ neg: m[1] === "-", field, value });
+  }
+  return terms;
+}
+
+function tabLabel(key) {
+  const t = TABS.find((x) => x.key === key);
+  return t ? t.label : key || "";
+}
+
+function searchFields(it) {
+  const tags = (it.tags || []).map(normText);
+  const title = normText(it.title);
+  const source = normText(it.source);
+  const tab = normText(`${it.tab || ""} ${tabLabel(it.tab)}`);
+  // note / collections: ブックマークの書き込み
+  const notes = normText([it.note || "", ...(it.collections || [])].join(" "));
+  return { title, source, tags, tab, all: [title, source, tags.join(" "), tab, normText(it.summary), notes].join(" ") };
+}
+
+function matchesQuery(it, terms) {
+  return matchesFields(searchFields(it), terms);
+}
+
+// f: { title, source, tags: [], tab, all }（すべて normText 済み）
+function matchesFields(f, terms) {
+  return terms.every((t) => {
+    const hit =
+      t.field === "tag"
+        ? f.tags.some((x) => x.includes(t.value))
+        : t.field
+        ? f[t.field].includes(t.value)
+        : f.all.includes(t.value);
+    return t.neg ? !hit : hit;
+  });
+}
+
+// title -> text nodes with <mark> around every hit of a positive term
+function renderHighlighted(el, text, terms) {
+  const { text: norm, map } = normalizeWithMap(text);
+  const ranges = [];
+  for (const t of terms) {
+    for (let i = norm.indexOf(t.value); i !== -1 && t.value; i = norm.indexOf(t.value, i + 1)) {
+      ranges.push([map[i][0], map[i + t.value.length - 1][1]]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    if (end <= pos) continue;
+    const from = Math.max(start, pos);
+    if (from > pos) el.appendChild(document.createTextNode(text.slice(pos, from)));
+    const mark = document.createElement("mark");
+    mark.textContent = text.slice(from, end);
+    el.appendChild(mark);
+    pos = end;
+  }
+  if (pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
 }
 
 /* -------------------------
@@ -249,6 +1184,7 @@ function withinDays(item, days) {
   return diff <= days + 0.001;
 }
 
+// mirrored by scripts/lib/atom.js pickToday() for data/feeds/today.xml
 function pickToday(items) {
   const buckets = ["ICT", "INFO1", "AI_LATEST", "AI_EDU", "MEXT", "EXAM"];
   const picked = [];
@@ -273,12 +1209,12 @@ function pickToday(items) {
 }
 
 function applyFilters() {
-  const q = $("searchInput").value.trim().toLowerCase();
+  const terms = parseQuery($("searchInput").value);
   const days = parseInt($("daysSelect").value, 10);
   const sort = $("sortSelect").value;
 
-  // Xタブは記事一覧ではなくXパネルなので、cardsは空にして終了
-  if (activeTab === "X") {
+  // X・週刊まとめは記事一覧ではなくパネルなので、cardsは空にして終了
+  if (activeTab === "X" || activeTab === "DIGEST") {
     $("cards").innerHTML = "";
     $("emptyState").hidden = true;
     return;
@@ -289,27 +1225,30 @@ function applyFilters() {
   if (activeTab === "BOOKMARKS") {
     const bm = loadBookmarks();
     items = bm.order.map((id) => bm.map[id]).filter(Boolean);
+    items = filterByCollection(items);
   } else if (activeTab === "TODAY") {
     items = pickToday(allItems);
+  } else if (activeTab === "ARCHIVE") {
+    items = archiveItems();
   } else {
     items = allItems.filter((x) => x.tab === activeTab);
     items = items.filter((x) => withinDays(x, days));
   }
 
+  items = filterByUnit(items);
+
   if (activeTag) {
     items = items.filter((x) => (x.tags || []).includes(activeTag));
   }
 
-  if (q) {
-    items = items.filter((x) => {
-      const text = [x.title || "", x.source || "", (x.tags || []).join(" "), x.tab || ""]
-        .join(" ")
-        .toLowerCase();
-      return text.includes(q);
-    });
+  if (terms.length) {
+    items = items.filter((x) => matchesQuery(x, terms));
   }
+  searchTerms = terms.filter((t) => !t.neg && (!t.field || t.field === "title"));
 
-  if (sort === "new") {
+  if (sort === "planned") {
+    items = sortByPlannedDate(items);
+  } else if (sort === "new") {
     items.sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
   } else {
     items.sort(
@@ -327,13 +1266,18 @@ function renderTags() {
   const row = $("tagRow");
   row.innerHTML = "";
 
-  if (activeTab === "BOOKMARKS" || activeTab === "X") return;
+  if (activeTab === "BOOKMARKS" || activeTab === "X" || activeTab === "DIGEST") return;
 
   let base = allItems;
-  if (activeTab !== "TODAY") {
-    base = allItems.filter((x) => x.tab === activeTab);
+  if (activeTab === "ARCHIVE") {
+    base = archiveItems();
+  } else {
+    if (activeTab !== "TODAY") {
+      base = allItems.filter((x) => x.tab === activeTab);
+    }
+    base = base.filter((x) => withinDays(x, 7));
   }
-  base = base.filter((x) => withinDays(x, 7));
+  base = filterByUnit(base);
 
   const counts = new Map();
   for (const it of base) {
@@ -375,32 +1319,171 @@ function renderTags() {
   }
 }
 
+// おすすめ度の内訳（fetch側の scoreBreakdown）
+function renderScoreBreakdown(it) {
+  const box = document.createElement("details");
+  box.className = "scoreInfo";
+
+  const summary = document.createElement("summary");
+  summary.textContent = `スコア ${it.score || 0} の内訳`;
+  box.appendChild(summary);
+
+  const list = document.createElement("ul");
+  for (const b of it.scoreBreakdown) {
+    const li = document.createElement("li");
+    const tab = b.reason.startsWith("tab:") ? TABS.find((t) => t.key === b.reason.slice(4)) : null;
+    const reason = document.createElement("span");
+    reason.textContent = tab ? `タブ: ${tab.label}` : b.reason;
+    const points = document.createElement("span");
+    points.className = "scorePoints";
+    points.textContent = `${b.points > 0 ? "+" : ""}${b.points}`;
+    li.appendChild(reason);
+    li.appendChild(points);
+    list.appendChild(li);
+  }
+  box.appendChild(list);
+  return box;
+}
+
+// 同じ話題の他媒体の記事（fetch側でクラスタリング済み）
+function renderRelated(related) {
+  const box = document.createElement("details");
+  box.className = "related";
+
+  const summary = document.createElement("summary");
+  summary.textContent = `他の報道 (${related.length}件)`;
+  box.appendChild(summary);
+
+  const list = document.createElement("ul");
+  for (const r of related) {
+    const li = document.createElement("li");
+    const a = document.createElement("a");
+    a.href = r.url;
+    a.target = "_blank";
+    a.rel = "noopener noreferrer";
+    a.textContent = r.title || r.url;
+    li.appendChild(a);
+
+    const src = document.createElement("span");
+    src.className = "muted";
+    src.textContent = ` ${r.source || "—"} ・ ${isoToDate(r.publishedAt) || "—"}`;
+    li.appendChild(src);
+    list.appendChild(li);
+  }
+  box.appendChild(list);
+  return box;
+}
+
+// 記事の概要（fetch側で整形・長さ制限済み）。既定は折りたたみ
+function renderSummary(text) {
+  const box = document.createElement("details");
+  box.className = "summaryInfo";
+
+  const summary = document.createElement("summary");
+  summary.textContent = "概要";
+  box.appendChild(summary);
+
+  const p = document.createElement("p");
+  p.textContent = text;
+  box.appendChild(p);
+  return box;
+}
+
+function renderThumb(url) {
+  const img = document.createElement("img");
+  img.className = "thumb";
+  img.src = url;
+  img.alt = "";
+  img.loading = "lazy";
+  img.decoding = "async";
+  img.referrerPolicy = "no-referrer";
+  // 壊れた画像は枠ごと消す
+  img.onerror = () => img.remove();
+  return img;
+}
+
+function renderUnitCol(units) {
+  const col = document.createElement("div");
+  col.className = "unitCol";
+  const head = document.createElement("div");
+  head.className = "unitColHead";
+  head.textContent = "単元";
+  col.appendChild(head);
+
+  if (!units.length) {
+    const none = document.createElement("div");
+    none.className = "muted";
+    none.textContent = "—";
+    col.appendChild(none);
+  }
+  for (const n of units) {
+    const row = document.createElement("div");
+    row.className = "unitColItem";
+    row.textContent = unitLabel(n);
+    col.appendChild(row);
+  }
+  return col;
+}
+
+/* -------------------------
+   View mode (cards / compact)
+------------------------- */
+function loadViewMode() {
+  return localStorage.getItem(LS_VIEW) === "compact" ? "compact" : "cards";
+}
+
+function applyViewMode(mode) {
+  localStorage.setItem(LS_VIEW, mode);
+  $("viewModeSelect").value = mode;
+  $("cards").classList.toggle("compact", mode === "compact");
+}
+
 function renderCards() {
   const wrap = $("cards");
   wrap.innerHTML = "";
   $("emptyState").hidden = filtered.length !== 0;
+  // compact: no thumbnails or summaries, so don't even request the images
+  const compact = loadViewMode() === "compact";
+  // ブックマークは授業準備用に単元を列で見せ、メモ欄を付ける
+  const showUnitCol = activeTab === "BOOKMARKS";
 
   for (const it of filtered) {
+    const units = itemUnits(it);
     const card = document.createElement("div");
     card.className = "card";
 
     const top = document.createElement("div");
     top.className = "cardTop";
 
+    if (it.imageUrl && !compact) top.appendChild(renderThumb(it.imageUrl));
+
     const left = document.createElement("div");
+    left.className = "cardBody";
 
     const h = document.createElement("h3");
     h.className = "title";
-    h.textContent = it.title || "(no title)";
+    if (it.title && searchTerms.length) renderHighlighted(h, it.title, searchTerms);
+    else h.textContent = it.title || "(no title)";
     left.appendChild(h);
 
     const meta = document.createElement("div");
     meta.className = "meta";
-    meta.textContent = `${it.source || "—"} ・ ${isoToDate(it.publishedAt) || "—"}`;
+    const dateLabel = isoToDate(it.publishedAt) || "—";
+    // dateEstimated: the feed had no date, so this is the day we first saw it
+    meta.textContent = `${it.source || "—"} ・ ${dateLabel}${it.dateEstimated ? "（初回取得）" : ""}`;
     left.appendChild(meta);
 
     const pills = document.createElement("div");
     pills.className = "pills";
+    if (!showUnitCol) {
+      units.forEach((n) => {
+        const p = document.createElement("span");
+        p.className = "pill unitPill";
+        p.textContent = `単元(${n})`;
+        p.title = unitLabel(n);
+        pills.appendChild(p);
+      });
+    }
     (it.tags || []).slice(0, 8).forEach((t) => {
       const p = document.createElement("span");
       p.className = "pill";
@@ -409,6 +1492,11 @@ function renderCards() {
     });
     left.appendChild(pills);
 
+    if (showUnitCol) left.appendChild(renderBookmarkNote(it));
+    if (it.summary && !compact) left.appendChild(renderSummary(it.summary));
+    if (it.scoreBreakdown && it.scoreBreakdown.length) left.appendChild(renderScoreBreakdown(it));
+    if (it.related && it.related.length) left.appendChild(renderRelated(it.related));
+
     const actions = document.createElement("div");
     actions.className = "cardActions";
 
@@ -434,6 +1522,7 @@ function renderCards() {
     actions.appendChild(a);
 
     top.appendChild(left);
+    if (showUnitCol) top.appendChild(renderUnitCol(units));
     top.appendChild(actions);
 
     card.appendChild(top);
@@ -444,51 +1533,742 @@ function renderCards() {
 /* -------------------------
    Export / Import bookmarks
 ------------------------- */
-function exportBookmarks() {
-  const bm = loadBookmarks();
-  const blob = new Blob([JSON.stringify(bm, null, 2)], { type: "application/json" });
+// 形式: json（この画面の {map, order} と xclips）/ csv（Excel用 BOM付き）/ md-tab・md-tag（Markdownリンク集）/ html（ブラウザのブックマーク）
+const EXPORT_FORMATS = {
+  json: { ext: "json", type: "application/json", build: () => JSON.stringify({ ...loadBookmarks(), xclips: loadX() }, null, 2) },
+  csv: { ext: "csv", type: "text/csv", build: () => "\uFEFF" + bookmarksToCsv(bookmarkList()) },
+  "md-tab": { ext: "md", type: "text/markdown", build: () => bookmarksToMarkdown(bookmarkList(), "tab") },
+  "md-tag": { ext: "md", type: "text/markdown", build: () => bookmarksToMarkdown(bookmarkList(), "tag") },
+  html: { ext: "html", type: "text/html", build: () => bookmarksToNetscape(bookmarkList()) }
+};
+
+// CSV の列（読み込みも同じ見出しを使う）。複数値は "; " 区切り
+const CSV_COLUMNS = [
+  "title", "url", "source", "publishedAt", "tab", "tags", "units",
+  "note", "collections", "plannedDate", "plannedUnit", "savedAt"
+];
+const CSV_LIST_SEP = "; ";
+
+function bookmarkList() {
+  return bookmarks.order.map((id) => bookmarks.map[id]).filter(Boolean);
+}
+
+function downloadFile(name, text, type) {
+  const blob = new Blob([text], { type: `${type};charset=utf-8` });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
-  a.download = "info-teacher-radar_bookmarks.json";
+  a.download = name;
   a.click();
   URL.revokeObjectURL(url);
 }
 
+function exportBookmarks() {
+  const key = $("exportFormat").value;
+  const fmt = EXPORT_FORMATS[key] || EXPORT_FORMATS.json;
+  const suffix = key.startsWith("md-") ? `_${key.slice(3)}` : "";
+  downloadFile(`info-teacher-radar_bookmarks${suffix}.${fmt.ext}`, fmt.build(), fmt.type);
+}
+
+// = + - @ で始まるセルは Excel が数式として実行してしまうので ' を前置する。
+// 元から '= のように始まる値も ' を1つ足し、読み込み時（このアプリのCSVだけ）に1つ外す
+const CSV_FORMULA_RE = /^'*[=+\-@\t\r]/;
+
+function csvField(v) {
+  let str = String(v ?? "");
+  if (CSV_FORMULA_RE.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function bookmarksToCsv(list) {
+  const rows = [CSV_COLUMNS.join(",")];
+  for (const b of list) {
+    const row = {
+      ...b,
+      tags: (b.tags || []).join(CSV_LIST_SEP),
+      units: itemUnits(b).join(CSV_LIST_SEP),
+      collections: (b.collections || []).join(CSV_LIST_SEP),
+      plannedUnit: b.plannedUnit || "",
+      savedAt: b.savedAt ? new Date(b.savedAt).toISOString() : ""
+    };
+    rows.push(CSV_COLUMNS.map((c) => csvField(row[c])).join(","));
+  }
+  // Excel は CRLF の方が素直に開く
+  return rows.join("\r\n") + "\r\n";
+}
+
+// [ と ] はリンク文字列を途中で閉じてしまう
+const mdText = (s) => String(s || "").replace(/([\\[\]])/g, "\\$1");
+// 空白や ( ) はリンク先を途中で閉じてしまう（Google ニュースや官公庁のURLに多い）
+const mdUrl = (u) => String(u || "").replace(/[\s()<>]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+
+function bookmarksToMarkdown(list, groupBy) {
+  const groups = new Map();
+  const add = (key, b) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(b);
+  };
+  for (const b of list) {
+    if (groupBy === "tag") {
+      const tags = b.tags || [];
+      if (!tags.length) add("タグなし", b);
+      tags.forEach((t) => add(t, b));
+    } else {
+      add(tabLabel(b.tab) || "その他", b);
+    }
+  }
+  // タブは画面の並び、タグは件数の多い順
+  const keys = Array.from(groups.keys());
+  if (groupBy === "tag") keys.sort((a, b) => groups.get(b).length - groups.get(a).length);
+  else keys.sort((a, b) => TABS.findIndex((t) => t.label === a) - TABS.findIndex((t) => t.label === b));
+
+  const lines = [`# ★ ブックマーク（${isoToDate(new Date().toISOString())}）`, ""];
+  for (const key of keys) {
+    lines.push(`## ${groupBy === "tag" ? "#" : ""}${key}`, "");
+    for (const b of groups.get(key)) {
+      lines.push(`- [${mdText(b.title || b.url)}](${mdUrl(b.url)}) — ${mdText(b.source || "—")}・${isoToDate(b.publishedAt) || "—"}`);
+      const planned = plannedLabel(b);
+      if (planned) lines.push(`  - ${planned}`);
+      if (b.note) lines.push(`  - メモ: ${b.note.replace(/\s*\n\s*/g, " ")}`);
+    }
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+function htmlEscape(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Netscape Bookmark File: Chrome / Edge / Firefox / Safari が読み込める。タブごとにフォルダ
+function bookmarksToNetscape(list) {
+  const byTab = new Map();
+  for (const b of list) {
+    const key = tabLabel(b.tab) || "その他";
+    if (!byTab.has(key)) byTab.set(key, []);
+    byTab.get(key).push(b);
+  }
+  const secs = (ms) => Math.floor((ms || Date.now()) / 1000);
+  const lines = [
+    "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    "<TITLE>Bookmarks</TITLE>",
+    "<H1>Bookmarks</H1>",
+    "<DL><p>",
+    `    <DT><H3 ADD_DATE="${secs()}">Info Teacher Radar</H3>`,
+    "    <DL><p>"
+  ];
+  for (const [folder, items] of byTab) {
+    lines.push(`        <DT><H3>${htmlEscape(folder)}</H3>`, "        <DL><p>");
+    for (const b of items) {
+      const tags = (b.tags || []).join(",");
+      lines.push(
+        `            <DT><A HREF="${htmlEscape(b.url)}" ADD_DATE="${secs(b.savedAt)}"${tags ? ` TAGS="${htmlEscape(tags)}"` : ""}>${htmlEscape(b.title || b.url)}</A>`
+      );
+      if (b.note) lines.push(`            <DD>${htmlEscape(b.note.replace(/\s*\n\s*/g, " "))}`);
+    }
+    lines.push("        </DL><p>");
+  }
+  lines.push("    </DL><p>", "</DL><p>", "");
+  return lines.join("\n");
+}
+
+/* -------------------------
+   Import (preview + dedupe)
+------------------------- */
+const TRACKING_PARAMS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content", "fbclid", "gclid", "yclid", "igshid"];
+
+// scripts/lib/url.js stripTracking() と同じ正規化（重複判定用）
+function normalizeUrl(url) {
+  try {
+    const u = new URL(String(url || "").trim());
+    if (u.protocol !== "http:" && u.protocol !== "https:") return "";
+    TRACKING_PARAMS.forEach((k) => u.searchParams.delete(k));
+    u.search = u.searchParams.toString() ? "?" + u.searchParams.toString() : "";
+    let out = u.toString();
+    if (out.endsWith("/") && u.pathname !== "/") out = out.slice(0, -1);
+    return out;
+  } catch {
+    return "";
+  }
+}
+
+// RFC 4180（"" のエスケープ、引用符内の改行）。-> [[field...]...]
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+// 見出しの別名（他のツールで作ったCSVも読めるように）
+const CSV_HEADER_ALIASES = {
+  title: ["title", "name", "タイトル", "記事"],
+  url: ["url", "link", "href", "リンク"],
+  note: ["note", "memo", "メモ"],
+  tags: ["tags", "tag", "タグ"],
+  collections: ["collections", "collection", "folder", "コレクション"]
+};
+
+function csvToRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const names = header.map((h) => h.trim().toLowerCase());
+  const col = (key) => {
+    const aliases = CSV_HEADER_ALIASES[key] || [key.toLowerCase()];
+    return names.findIndex((n) => aliases.includes(n));
+  };
+  const idx = Object.fromEntries(CSV_COLUMNS.map((c) => [c, col(c)]));
+  if (idx.url < 0) throw new Error("CSVに url 列がありません");
+  // 見出しが書き出しと同じ列ならこのアプリのCSV。他のツールのCSVの ' はそのまま残す
+  const ours = names.join(",") === CSV_COLUMNS.join(",").toLowerCase();
+
+  const list = (v) => String(v || "").split(/[;；]/).map((x) => x.trim()).filter(Boolean);
+  return rows.map((r) => {
+    const get = (c) => {
+      const v = idx[c] >= 0 ? r[idx[c]] || "" : "";
+      return (ours && v.startsWith("'") && CSV_FORMULA_RE.test(v.slice(1)) ? v.slice(1) : v).trim();
+    };
+    const saved = Date.parse(get("savedAt"));
+    return {
+      title: get("title"),
+      url: get("url"),
+      source: get("source"),
+      publishedAt: get("publishedAt"),
+      tab: get("tab"),
+      tags: list(get("tags")),
+      units: list(get("units")).map(Number).filter((n) => UNITS.some((u) => u.n === n)),
+      note: get("note"),
+      collections: list(get("collections")),
+      plannedDate: get("plannedDate"),
+      plannedUnit: get("plannedUnit"),
+      savedAt: Number.isNaN(saved) ? 0 : saved
+    };
+  });
+}
+
+// ブラウザの既定フォルダと、書き出し時のタブ別フォルダはコレクションにしない
+const NETSCAPE_SKIP_FOLDERS = new Set([
+  "Info Teacher Radar", "その他", ...TABS.map((t) => t.label),
+  "ブックマーク バー", "ブックマークバー", "その他のブックマーク", "ブックマークツールバー", "お気に入り バー",
+  "Bookmarks bar", "Bookmarks Toolbar", "Other bookmarks", "Favorites bar"
+]);
+
+// Netscape Bookmark File: 一番近いフォルダ名をコレクションに、<DD> をメモにする
+function netscapeToRecords(text) {
+  const doc = new DOMParser().parseFromString(text, "text/html");
+  const out = [];
+  for (const a of doc.querySelectorAll("a[href]")) {
+    const dl = a.closest("dl");
+    const h3 = dl && dl.previousElementSibling && dl.previousElementSibling.tagName === "H3"
+      ? dl.previousElementSibling
+      : dl && dl.parentElement && dl.parentElement.querySelector(":scope > h3");
+    const dt = a.closest("dt");
+    const dd = dt && dt.nextElementSibling && dt.nextElementSibling.tagName === "DD" ? dt.nextElementSibling : null;
+    const added = Number(a.getAttribute("add_date"));
+    const folder = h3 ? h3.textContent.trim() : "";
+    out.push({
+      title: (a.textContent || "").trim(),
+      url: a.getAttribute("href"),
+      tags: (a.getAttribute("tags") || "").split(",").map((t) => t.trim()).filter(Boolean),
+      note: dd ? dd.textContent.trim() : "",
+      collections: folder && !NETSCAPE_SKIP_FOLDERS.has(folder) ? [folder] : [],
+      savedAt: added ? added * 1000 : 0
+    });
+  }
+  return out;
+}
+
+// -> { records, clips }（xclips だけのファイルも可）
+function jsonToRecords(text) {
+  const obj = JSON.parse(text);
+  const hasBookmarks = obj && obj.map && Array.isArray(obj.order);
+  const hasClips = obj && Array.isArray(obj.xclips);
+  if (!hasBookmarks && !hasClips) throw new Error("ブックマークの形式ではありません");
+  return {
+    records: hasBookmarks ? obj.order.filter((id) => obj.map[id]).map((id) => ({ ...obj.map[id], id })) : [],
+    clips: hasClips ? obj.xclips : []
+  };
+}
+
+// ファイル名と中身で形式を判定 -> { format, records, clips }
+function parseBookmarkFile(name, text) {
+  const head = text.replace(/^\uFEFF/, "").trimStart();
+  if (head.startsWith("{")) return { format: "JSON", ...jsonToRecords(head) };
+  if (/\.html?$/i.test(name) || /^<!DOCTYPE NETSCAPE-Bookmark-file/i.test(head) || /^<(!doctype|html|dl)/i.test(head)) {
+    return { format: "ブラウザのブックマーク (HTML)", records: netscapeToRecords(head), clips: [] };
+  }
+  return { format: "CSV", records: csvToRecords(head), clips: [] };
+}
+
+// 取り込み用のブックマークに整える。URLが items.json の記事なら、その記事の情報で補う
+function importedBookmark(r, savedAt) {
+  const url = normalizeUrl(r.url);
+  const item = allItems.find((x) => normalizeUrl(x.url) === url);
+  return normalizeBookmark({
+    ...(item
+      ? {
+          id: item.id, title: item.title, source: item.source, publishedAt: item.publishedAt, tab: item.tab,
+          tags: item.tags || [], units: item.units || [], score: item.score || 0,
+          summary: item.summary || "", imageUrl: item.imageUrl || ""
+        }
+      : { id: "url:" + url, source: "", publishedAt: "", tab: "", tags: [], score: 0, summary: "", imageUrl: "" }),
+    ...Object.fromEntries(Object.entries(r).filter(([, v]) => v !== "" && !(Array.isArray(v) && !v.length))),
+    id: r.id || (item ? item.id : "url:" + url),
+    url: r.url.trim(),
+    title: r.title || (item && item.title) || url,
+    savedAt: r.savedAt || savedAt
+  });
+}
+
+// -> [{ rec, status: "new" | "merge" | "same" | "dup" | "invalid", target? }]
+//   merge: 既存のブックマークにメモ等を補う / same: 既存と同じで変更なし / dup: ファイル内の重複
+function planImport(records) {
+  const byUrl = new Map();
+  for (const id of bookmarks.order) byUrl.set(normalizeUrl(bookmarks.map[id].url), bookmarks.map[id]);
+
+  const seen = new Set();
+  const now = Date.now();
+  return records.map((r, i) => {
+    const key = normalizeUrl(r.url);
+    if (!key) return { rec: r, status: "invalid" };
+    if (seen.has(key)) return { rec: r, status: "dup" };
+    seen.add(key);
+
+    // 読み込み順に新しい印を付ける（一覧の先頭は読み込みファイルの先頭）
+    const rec = importedBookmark(r, now - i);
+    const target = bookmarks.map[rec.id] || byUrl.get(key);
+    if (!target) return { rec, status: "new" };
+    const merged = mergeBookmarkNotes(target, rec);
+    return JSON.stringify(merged) === JSON.stringify(target)
+      ? { rec, status: "same", target }
+      : { rec: merged, status: "merge", target };
+  });
+}
+
+// Xクリップ: 投稿（clipId）で重複判定。上限を超える分は取り込まず "over" で見せる
+// -> [{ clip, status: "new" | "merge" | "same" | "dup" | "invalid" | "over", target? }]
+function planClipImport(clips) {
+  const current = loadX();
+  const byId = new Map(current.map((c) => [c.id, c]));
+  const seen = new Set();
+  let room = X_CAP - current.length;
+  return clips.map((raw) => {
+    const clip = normalizeClip(raw);
+    if (!clip || !parseXUrl(clip.url)) return { clip: clip || { url: String((raw && raw.url) || "") }, status: "invalid" };
+    if (seen.has(clip.id)) return { clip, status: "dup" };
+    seen.add(clip.id);
+
+    const target = byId.get(clip.id);
+    if (target) {
+      // 既存のメモが空なら補い、タグは足し合わせ
+      const merged = { ...target, memo: target.memo || clip.memo, tags: parseCollections([...target.tags, ...clip.tags]) };
+      return JSON.stringify(merged) === JSON.stringify(target)
+        ? { clip, status: "same", target }
+        : { clip: merged, status: "merge", target };
+    }
+    if (room <= 0) return { clip, status: "over" };
+    room--;
+    return { clip, status: "new" };
+  });
+}
+
+const IMPORT_STATUS = {
+  new: "新規",
+  merge: "既存に追記",
+  same: "既存と同じ",
+  dup: "ファイル内で重複",
+  invalid: "URLが不正",
+  over: `上限（${X_CAP}件）超過`
+};
+const IMPORT_PREVIEW_MAX = 200;
+let pendingImport = null;
+
+function importCounts(plan) {
+  const counts = {};
+  for (const p of plan) counts[p.status] = (counts[p.status] || 0) + 1;
+  return Object.keys(IMPORT_STATUS).filter((k) => counts[k]).map((k) => `${IMPORT_STATUS[k]} ${counts[k]}`).join(" ／ ");
+}
+
+// plan: ブックマーク、clipPlan: Xクリップ（JSONのみ）
+function showImportPreview(format, plan, clipPlan = []) {
+  pendingImport = { plan, clipPlan };
+  const lines = [`${format}`];
+  if (plan.length) lines.push(`ブックマーク ${plan.length}件: ${importCounts(plan)}`);
+  if (clipPlan.length) lines.push(`Xクリップ ${clipPlan.length}件: ${importCounts(clipPlan)}`);
+  $("importSummary").textContent = lines.join("\n");
+
+  const rows = [
+    ...plan.map((p) => ({ status: p.status, kind: "", title: p.rec.title || p.rec.url || "(no title)", url: p.rec.url || "" })),
+    ...clipPlan.map((p) => ({ status: p.status, kind: "X・", title: p.clip.memo || p.clip.url || "(no memo)", url: p.clip.url || "" }))
+  ];
+  const list = $("importPreview");
+  list.innerHTML = "";
+  for (const r of rows.slice(0, IMPORT_PREVIEW_MAX)) {
+    const row = document.createElement("div");
+    row.className = "xItem importRow " + r.status;
+    const badge = document.createElement("span");
+    badge.className = "pill";
+    badge.textContent = r.kind + IMPORT_STATUS[r.status];
+    const title = document.createElement("div");
+    title.className = "xUrl";
+    title.textContent = r.title;
+    const url = document.createElement("div");
+    url.className = "xMemo";
+    url.textContent = r.url;
+    row.append(badge, title, url);
+    list.appendChild(row);
+  }
+  if (rows.length > IMPORT_PREVIEW_MAX) {
+    const more = document.createElement("div");
+    more.className = "muted small";
+    more.textContent = `ほか ${rows.length - IMPORT_PREVIEW_MAX}件`;
+    list.appendChild(more);
+  }
+  $("importApply").disabled = ![...plan, ...clipPlan].some((p) => p.status === "new" || p.status === "merge");
+  $("importModal").hidden = false;
+}
+
+function closeImportPreview() {
+  pendingImport = null;
+  $("importModal").hidden = true;
+}
+
+// 引数なし: 読み込みプレビューの「取り込む」。復元（merge）からは plan を渡す
+async function applyImport(bmPlan = null, { silent = false } = {}) {
+  const { plan, clipPlan } = bmPlan ? { plan: bmPlan, clipPlan: [] } : pendingImport || { plan: [], clipPlan: [] };
+  if (!bmPlan) closeImportPreview();
+  applyClipImport(clipPlan);
+  const put = [];
+  for (const p of plan) {
+    if (p.status === "new") {
+      bookmarks.map[p.rec.id] = p.rec;
+      put.push(p.rec);
+    } else if (p.status === "merge") {
+      bookmarks.map[p.target.id] = { ...p.rec, id: p.target.id };
+      put.push(bookmarks.map[p.target.id]);
+    }
+  }
+  if (!put.length) return true;
+  setBookmarkRecords(Object.values(bookmarks.map));
+  const ok = await persistBookmarks({ put });
+  if (silent) return ok;
+  if (activeTab === "BOOKMARKS") renderCollectionSelect();
+  renderTags();
+  applyFilters();
+  return ok;
+}
+
+function applyClipImport(clipPlan) {
+  if (!clipPlan.some((p) => p.status === "new" || p.status === "merge")) return;
+  // 旧データの重複（同じ id）があっても、突き合わせた1件だけを書き換える
+  const key = (c) => `${c.id}|${c.ts}`;
+  const merged = new Map(clipPlan.filter((p) => p.status === "merge").map((p) => [key(p.target), p.clip]));
+  const arr = loadX().map((c) => merged.get(key(c)) || c);
+  arr.push(...clipPlan.filter((p) => p.status === "new").map((p) => p.clip));
+  saveX(arr);
+  if (activeTab === "X") renderXList();
+}
+
 function importBookmarks(file) {
   const reader = new FileReader();
   reader.onload = () => {
     try {
-      const obj = JSON.parse(reader.result);
-      if (!obj || typeof obj !== "object") throw new Error("Invalid JSON");
-      if (!obj.map || !obj.order) throw new Error("Invalid bookmark format");
-
-      const bm = loadBookmarks();
-      for (const id of obj.order) {
-        if (obj.map[id] && !bm.map[id]) {
-          bm.map[id] = obj.map[id];
-          bm.order.unshift(id);
-        }
+      const { format, records, clips } = parseBookmarkFile(file.name || "", String(reader.result || ""));
+      if (!records.length && !clips.length) throw new Error("ブックマークが見つかりませんでした");
+      showImportPreview(format, planImport(records), planClipImport(clips));
+    } catch (e) {
+      alert("読み込みに失敗しました: " + e.message);
+    }
+  };
+  reader.readAsText(file);
+}
+
+/* -------------------------
+   Profile backup / restore (bookmarks + X clips + settings)
+------------------------- */
+// { app, kind: "profile", schema, exportedAt, bookmarks: {map, order}, xclips: [...], prefs: {key: value} }
+// 形式を変えたら PROFILE_SCHEMA を上げ、PROFILE_MIGRATIONS に「前の版 -> 次の版」を足す
+const PROFILE_SCHEMA = 1;
+const PROFILE_APP = "info-teacher-radar";
+// prefs に入れない localStorage（データ本体は別項目で持つ）
+const PROFILE_DATA_KEYS = [LS_KEY, LS_X];
+
+const PROFILE_MIGRATIONS = [
+  // 0: ブックマーク書き出しの JSON（{map, order[, xclips]}）-> 1
+  (obj) => ({
+    app: PROFILE_APP,
+    kind: "profile",
+    schema: 1,
+    exportedAt: "",
+    bookmarks: { map: obj.map || {}, order: obj.order || [] },
+    xclips: obj.xclips || [],
+    prefs: {}
+  })
+];
+
+// 設定は "itr." で始まる localStorage をまるごと（後から増えた設定も入る）
+function readPrefs() {
+  const prefs = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith("itr.") && !PROFILE_DATA_KEYS.includes(key)) prefs[key] = localStorage.getItem(key);
+  }
+  return prefs;
+}
+
+function buildProfile() {
+  return {
+    app: PROFILE_APP,
+    kind: "profile",
+    schema: PROFILE_SCHEMA,
+    exportedAt: new Date().toISOString(),
+    bookmarks: loadBookmarks(),
+    xclips: loadX(),
+    prefs: readPrefs()
+  };
+}
+
+function exportProfile() {
+  const day = new Date().toISOString().slice(0, 10);
+  downloadFile(`info-teacher-radar_backup_${day}.json`, JSON.stringify(buildProfile(), null, 2), "application/json");
+}
+
+// 読み込んだ JSON -> いまの schema のプロファイル。読めないものは throw（何も書き換えない）
+function parseProfile(text) {
+  let obj;
+  try {
+    obj = JSON.parse(String(text || "").replace(/^\uFEFF/, ""));
+  } catch {
+    throw new Error("JSONとして読めません");
+  }
+  if (!obj || typeof obj !== "object") throw new Error("バックアップの形式ではありません");
+
+  let schema;
+  if (obj.kind === "profile") {
+    if (obj.app !== PROFILE_APP) throw new Error("Info Teacher Radar のバックアップではありません");
+    schema = Number(obj.schema);
+    if (!Number.isInteger(schema) || schema < 1) throw new Error("バックアップの版が読めません");
+    if (schema > PROFILE_SCHEMA) throw new Error(`新しい版（${schema}）のバックアップです。ページを更新してから読み込んでください`);
+  } else if ((obj.map && Array.isArray(obj.order)) || Array.isArray(obj.xclips)) {
+    schema = 0;
+  } else {
+    throw new Error("バックアップの形式ではありません");
+  }
+
+  let profile = obj;
+  for (let v = schema; v < PROFILE_SCHEMA; v++) profile = PROFILE_MIGRATIONS[v](profile);
+
+  const bm = profile.bookmarks || {};
+  if (typeof (bm.map || {}) !== "object" || !Array.isArray(bm.order || [])) throw new Error("ブックマークの形式が壊れています");
+  if (!Array.isArray(profile.xclips || [])) throw new Error("Xクリップの形式が壊れています");
+  return {
+    schema: PROFILE_SCHEMA,
+    exportedAt: profile.exportedAt || "",
+    records: (bm.order || []).filter((id) => bm.map[id]).map((id) => ({ ...bm.map[id], id })),
+    xclips: profile.xclips || [],
+    prefs: profile.prefs && typeof profile.prefs === "object" ? profile.prefs : {}
+  };
+}
+
+// -> { bookmarks: {added, updated, skipped, removed}, xclips: {...}, prefs: {...}, apply }
+//   merge:   planImport / planClipImport と同じ突き合わせ。設定は手元に無いものだけ足す
+//   replace: 手元のデータを消して、バックアップの中身にする
+function planRestore(profile, mode) {
+  const count = (plan) => ({
+    added: plan.filter((p) => p.status === "new").length,
+    updated: plan.filter((p) => p.status === "merge").length,
+    skipped: plan.filter((p) => !["new", "merge"].includes(p.status)).length,
+    removed: 0
+  });
+  const prefKeys = Object.keys(profile.prefs).filter((k) => k.startsWith("itr.") && !PROFILE_DATA_KEYS.includes(k));
+  const current = readPrefs();
+
+  if (mode === "merge") {
+    const bmPlan = planImport(profile.records);
+    const clipPlan = planClipImport(profile.xclips);
+    const prefAdd = prefKeys.filter((k) => !(k in current));
+    return {
+      bookmarks: count(bmPlan),
+      xclips: count(clipPlan),
+      prefs: { added: prefAdd.length, updated: 0, skipped: prefKeys.length - prefAdd.length, removed: 0 },
+      apply: async () => {
+        applyClipImport(clipPlan);
+        prefAdd.forEach((k) => localStorage.setItem(k, String(profile.prefs[k])));
+        return applyImport(bmPlan, { silent: true });
       }
+    };
+  }
 
-      bm.order = Array.from(new Set(bm.order));
-      if (bm.order.length > BOOKMARK_CAP) {
-        const removed = bm.order.slice(BOOKMARK_CAP);
-        removed.forEach((id) => delete bm.map[id]);
-        bm.order = bm.order.slice(0, BOOKMARK_CAP);
+  // replace: 壊れたもの・重複は落とす（件数は skipped に出る）
+  const seen = new Set();
+  const records = [];
+  let bmSkipped = 0;
+  profile.records.forEach((r, i) => {
+    const key = normalizeUrl(r.url);
+    if (!key || seen.has(key)) return bmSkipped++;
+    seen.add(key);
+    records.push(importedBookmark(r, Date.now() - i));
+  });
+  const clipIds = new Set();
+  const clips = [];
+  let clipSkipped = 0;
+  for (const raw of profile.xclips) {
+    // X の投稿・プロフィール以外（javascript: など）は planClipImport と同じく取り込まない
+    const c = normalizeClip(raw);
+    if (!c || !parseXUrl(c.url) || clipIds.has(`${c.id}|${c.ts}`) || clips.length >= X_CAP) {
+      clipSkipped++;
+      continue;
+    }
+    clipIds.add(`${c.id}|${c.ts}`);
+    clips.push(c);
+  }
+  const currentX = loadX();
+  return {
+    bookmarks: {
+      added: records.filter((r) => !bookmarks.map[r.id]).length,
+      updated: records.filter((r) => bookmarks.map[r.id]).length,
+      skipped: bmSkipped,
+      removed: bookmarks.order.filter((id) => !records.some((r) => r.id === id)).length
+    },
+    xclips: {
+      added: clips.filter((c) => !currentX.some((x) => x.id === c.id)).length,
+      updated: clips.filter((c) => currentX.some((x) => x.id === c.id)).length,
+      skipped: clipSkipped,
+      removed: currentX.filter((x) => !clips.some((c) => c.id === x.id)).length
+    },
+    prefs: {
+      added: prefKeys.filter((k) => !(k in current)).length,
+      updated: prefKeys.filter((k) => k in current).length,
+      skipped: 0,
+      removed: Object.keys(current).filter((k) => !prefKeys.includes(k)).length
+    },
+    // どちらかの保存に失敗したら、もう一方も元に戻す
+    apply: async () => {
+      if (!saveX(clips)) return false;
+      const previous = bookmarks;
+      setBookmarkRecords(records);
+      if (!(await persistBookmarks({ put: bookmarks.order.map((id) => bookmarks.map[id]), clear: true }))) {
+        bookmarks = previous;
+        saveX(currentX);
+        return false;
       }
+      Object.keys(current).forEach((k) => localStorage.removeItem(k));
+      prefKeys.forEach((k) => localStorage.setItem(k, String(profile.prefs[k])));
+      return true;
+    }
+  };
+}
 
-      saveBookmarks(bm);
-      alert("ブックマークを読み込みました。");
-      renderTags();
-      applyFilters();
+const RESTORE_LABELS = { bookmarks: "ブックマーク", xclips: "Xクリップ", prefs: "設定" };
+
+function restoreSummary(plan) {
+  return Object.keys(RESTORE_LABELS)
+    .map((k) => {
+      const c = plan[k];
+      const parts = [`追加 ${c.added}`, `更新 ${c.updated}`, `スキップ ${c.skipped}`];
+      if (c.removed) parts.push(`削除 ${c.removed}`);
+      return `${RESTORE_LABELS[k]}: ${parts.join(" ／ ")}`;
+    })
+    .join("\n");
+}
+
+let pendingRestore = null;
+
+function renderRestorePlan() {
+  // 復元後（pendingRestore は空）に残ったラジオからは呼ばれても何もしない
+  if (!pendingRestore) return;
+  const mode = $("restoreReplace").checked ? "replace" : "merge";
+  const plan = planRestore(pendingRestore, mode);
+  $("restoreSummary").textContent = restoreSummary(plan);
+  $("restoreNote").textContent =
+    mode === "replace"
+      ? "この端末のブックマーク・Xクリップ・設定を消して、バックアップの内容に置き換えます。"
+      : "この端末のデータは残し、バックアップにしかないものを足します（メモなどは空欄だけ補います）。";
+  $("restoreApply").onclick = async () => {
+    $("restoreApply").disabled = true;
+    const ok = await plan.apply();
+    pendingRestore = null;
+    $("restoreSummary").textContent = (ok ? "復元しました。\n" : "保存に失敗しました。\n") + restoreSummary(plan);
+    $("restoreNote").textContent = ok
+      ? ""
+      : mode === "replace"
+      ? "この端末のデータは変更していません。容量を確認してから、もう一度お試しください。"
+      : "ブックマークを保存できませんでした（Xクリップ・設定は統合済み）。容量を確認してから、もう一度お試しください。";
+    $("restoreModes").hidden = true;
+    $("restoreApply").hidden = true;
+    $("restoreCancel").textContent = "閉じる";
+    applyViewMode(loadViewMode());
+    if (activeTab === "BOOKMARKS") renderCollectionSelect();
+    if (activeTab === "X") renderXList();
+    renderTags();
+    applyFilters();
+  };
+}
+
+function openRestore(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      pendingRestore = parseProfile(reader.result);
     } catch (e) {
-      alert("読み込みに失敗しました: " + e.message);
+      alert("復元できません: " + e.message);
+      return;
     }
+    const when = pendingRestore.exportedAt ? `（${isoToDate(pendingRestore.exportedAt)} 作成）` : "（ブックマーク書き出しファイル）";
+    $("restoreTitle").textContent = `バックアップから復元 ${when}`;
+    $("restoreMerge").checked = true;
+    $("restoreModes").hidden = false;
+    $("restoreApply").hidden = false;
+    $("restoreApply").disabled = false;
+    $("restoreCancel").textContent = "キャンセル";
+    renderRestorePlan();
+    $("restoreModal").hidden = false;
   };
   reader.readAsText(file);
 }
 
+function closeRestore() {
+  pendingRestore = null;
+  $("restoreModal").hidden = true;
+}
+
 /* -------------------------
    Data Load
 ------------------------- */
@@ -502,12 +2282,86 @@ async function loadItems() {
   $("metaGenerated").textContent = data.generatedAt ? `更新: ${isoToDate(data.generatedAt)}` : "—";
 }
 
+/* -------------------------
+   Source status (data/status.json)
+------------------------- */
+const STALE_HOURS = 48;
+
+function sourceHealth(src) {
+  if (!src.ok) return "fail";
+  const last = new Date(src.lastSuccessAt || 0);
+  if ((Date.now() - last) / (1000 * 60 * 60) > STALE_HOURS) return "stale";
+  return "ok";
+}
+
+async function loadStatus() {
+  const box = $("sourceStatus");
+  if (!box) return;
+  box.innerHTML = "";
+  try {
+    const res = await fetch("./data/status.json?_=" + Date.now());
+    if (!res.ok) throw new Error("status.json load failed");
+    const data = await res.json();
+    renderStatus(data.sources || []);
+  } catch (e) {
+    console.warn(e);
+  }
+}
+
+function renderStatus(sources) {
+  const box = $("sourceStatus");
+  const bad = sources.filter((s) => sourceHealth(s) !== "ok");
+
+  const details = document.createElement("details");
+  details.className = "statusPanel" + (bad.length ? " hasProblems" : "");
+
+  const summary = document.createElement("summary");
+  summary.textContent = bad.length
+    ? `ソース状況：${bad.length}件に問題`
+    : `ソース状況：${sources.length}件すべて正常`;
+  details.appendChild(summary);
+
+  const list = document.createElement("ul");
+  // problems first, then registry order
+  const ordered = [...bad, ...sources.filter((s) => sourceHealth(s) === "ok")];
+  for (const s of ordered) {
+    const health = sourceHealth(s);
+    const li = document.createElement("li");
+    li.className = "statusRow " + health;
+    li.title = [
+      s.url,
+      s.httpStatus ? `HTTP ${s.httpStatus}` : "",
+      `${s.durationMs || 0}ms`,
+      s.lastSuccessAt ? `最終成功: ${isoToDate(s.lastSuccessAt)}` : "最終成功: なし",
+      s.error || ""
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    const name = document.createElement("span");
+    name.className = "statusName";
+    name.textContent = s.name || s.id;
+    const count = document.createElement("span");
+    count.className = "statusCount";
+    count.textContent =
+      health === "fail" ? "エラー" : health === "stale" ? "更新なし" : `${s.itemCount}件（新${s.newItemCount}）`;
+
+    li.appendChild(name);
+    li.appendChild(count);
+    list.appendChild(li);
+  }
+  details.appendChild(list);
+  box.appendChild(details);
+}
+
 /* -------------------------
    Bindings
 ------------------------- */
 function bind() {
   document.addEventListener("keydown", (e) => {
-    if (e.key === "/" && document.activeElement !== $("searchInput")) {
+    // 入力欄（URL・メモなど）で打った "/" は横取りしない
+    const typing = e.target.closest && e.target.closest("input, textarea, select, [contenteditable]");
+    if (e.key === "/" && !typing) {
       e.preventDefault();
       $("searchInput").focus();
     }
@@ -516,6 +2370,12 @@ function bind() {
   $("searchInput").addEventListener("input", applyFilters);
   $("daysSelect").addEventListener("change", applyFilters);
   $("sortSelect").addEventListener("change", applyFilters);
+  $("collectionSelect").addEventListener("change", applyFilters);
+  $("unitSelect").addEventListener("change", () => {
+    activeTag = null;
+    renderTags();
+    applyFilters();
+  });
 
   $("btnRefresh").onclick = async () => {
     await boot(true);
@@ -524,8 +2384,37 @@ function bind() {
   $("btnToday").onclick = () => setTab("TODAY");
   $("btnBookmarks").onclick = () => setTab("BOOKMARKS");
   $("btnXTab").onclick = () => setTab("X");
+  $("btnArchive").onclick = () => setTab("ARCHIVE");
+  $("btnDigest").onclick = () => setTab("DIGEST");
+
+  $("viewModeSelect").addEventListener("change", (e) => {
+    applyViewMode(e.target.value);
+    renderCards();
+  });
+
+  $("archiveMonthSelect").addEventListener("change", (e) => {
+    activeTag = null;
+    openArchive(e.target.value);
+  });
+  $("archiveTabSelect").addEventListener("change", () => {
+    activeTag = null;
+    renderTags();
+    applyFilters();
+  });
 
   $("btnExport").onclick = exportBookmarks;
+  $("importApply").onclick = () => applyImport();
+  $("importCancel").onclick = closeImportPreview;
+
+  $("btnBackup").onclick = exportProfile;
+  $("restoreFile").addEventListener("change", (e) => {
+    const f = e.target.files?.[0];
+    if (f) openRestore(f);
+    e.target.value = "";
+  });
+  $("restoreMerge").addEventListener("change", renderRestorePlan);
+  $("restoreReplace").addEventListener("change", renderRestorePlan);
+  $("restoreCancel").onclick = closeRestore;
   $("importFile").addEventListener("change", (e) => {
     const f = e.target.files?.[0];
     if (f) importBookmarks(f);
@@ -533,19 +2422,11 @@ function bind() {
   });
 
   // X add
-  $("xAddBtn").onclick = () => {
-    const url = $("xUrl").value.trim();
-    const memo = $("xMemo").value.trim();
-    if (!url) return;
-
-    const arr = loadX();
-    arr.unshift({ url, memo, ts: Date.now() });
-    saveX(arr.slice(0, 500));
-
-    $("xUrl").value = "";
-    $("xMemo").value = "";
-    renderXList();
-  };
+  $("xAddBtn").onclick = addXClip;
+  $("xUrl").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addXClip();
+  });
+  $("xSearch").addEventListener("input", () => renderXList());
 }
 
 /* -------------------------
@@ -554,6 +2435,7 @@ function bind() {
 async function boot(force = false) {
   try {
     await loadItems();
+    loadStatus();
     renderNav();
     updateTitles();
     renderTags();
@@ -573,6 +2455,8 @@ async function boot(force = false) {
 ------------------------- */
 (async function main() {
   bind();
+  applyViewMode(loadViewMode());
+  await openBookmarkStore();
   showXPanel(false);
   setTab("TODAY");
   await boot();
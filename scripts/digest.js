@@ -0,0 +1,51 @@
+/**
+ * Info Teacher Radar - weekly digest
+ * - Reads the scored items for one ISO week from data/items.json + data/archive/YYYY-MM.json
+ * - Writes data/digest/YYYY-Www.md + .html (print-friendly) and updates data/digest/index.json
+ * - The fetcher writes the current week on every run; use this for past weeks or other settings
+ *
+ *   node scripts/digest.js --week 2026-W42 --top 8
+ */
+
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { DIGEST_USAGE, parseDigestArgs } from "./lib/cli.js";
+import { DIGEST_PER_TAB, buildDigest, isoWeekKey, loadWeekItems, writeDigest } from "./lib/digest.js";
+
+const DATA_DIR = path.join(process.cwd(), "data");
+
+export function main(opts) {
+  const dataDir = path.resolve(opts.data || DATA_DIR);
+  const outDir = path.resolve(opts.out || path.join(dataDir, "digest"));
+  const week = opts.week || isoWeekKey();
+
+  const digest = buildDigest(loadWeekItems(dataDir, week), {
+    week,
+    perTab: opts.top || DIGEST_PER_TAB,
+    mext: opts.mext,
+  });
+  writeDigest(digest, outDir);
+  console.log(`Digest ${week}: ${digest.count} items${digest.mext ? `, ${digest.mext.length} MEXT notices` : ""} -> ${outDir}`);
+}
+
+// `node scripts/digest.js ...` runs; importing (tests) doesn't
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  let opts;
+  try {
+    opts = parseDigestArgs();
+  } catch (e) {
+    console.error(`${e.message}\n\n${DIGEST_USAGE}`);
+    process.exit(2);
+  }
+
+  if (opts.help) {
+    console.log(DIGEST_USAGE);
+  } else {
+    try {
+      main(opts);
+    } catch (e) {
+      console.error(e);
+      process.exit(1);
+    }
+  }
+}
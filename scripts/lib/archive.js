@@ -0,0 +1,101 @@
+/**
+ * Monthly archive: data/archive/YYYY-MM.json + index.json (no window, no cap)
+ * - Shards are merged by id, so an item keeps its earliest firstSeenAt
+ * - The shards double as the fetcher's long-term memory (loadSeenIndex)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { earlier, jstNow, monthKey } from "./dates.js";
+
+export function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+const SHARD_RE = /^\d{4}-\d{2}\.json$/;
+
+/** month -> items of every shard on disk */
+function readShards(archiveDir) {
+  const shards = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(archiveDir).filter((f) => SHARD_RE.test(f));
+  } catch {
+    return shards;
+  }
+  for (const f of files) {
+    shards.set(f.slice(0, 7), readJson(path.join(archiveDir, f), { items: [] }).items || []);
+  }
+  return shards;
+}
+
+/** id -> earliest firstSeenAt across every shard: the fetcher's memory beyond items.json */
+export function loadSeenIndex(archiveDir) {
+  const seen = new Map();
+  for (const items of readShards(archiveDir).values()) {
+    for (const it of items) {
+      if (it.id && it.firstSeenAt) seen.set(it.id, earlier(seen.get(it.id), it.firstSeenAt));
+    }
+  }
+  return seen;
+}
+
+/**
+ * -> [{ month, count }] for every shard on disk, newest month first
+ * An id lives in one shard only: when its publishedAt moves to another month, it moves too.
+ */
+export function writeArchive(items, archiveDir) {
+  fs.mkdirSync(archiveDir, { recursive: true });
+
+  const shards = new Map();
+  const monthOf = new Map();
+  for (const [month, list] of readShards(archiveDir)) {
+    shards.set(month, new Map(list.map((x) => [x.id, x])));
+    for (const x of list) monthOf.set(x.id, month);
+  }
+
+  const dirty = new Set();
+  for (const it of items) {
+    const key = monthKey(it.publishedAt);
+    if (!key) continue;
+    const oldMonth = monthOf.get(it.id);
+    const old = oldMonth ? shards.get(oldMonth).get(it.id) : null;
+    if (oldMonth && oldMonth !== key) {
+      shards.get(oldMonth).delete(it.id);
+      dirty.add(oldMonth);
+    }
+    if (!shards.has(key)) shards.set(key, new Map());
+    shards.get(key).set(it.id, old ? { ...it, firstSeenAt: earlier(old.firstSeenAt, it.firstSeenAt) } : it);
+    monthOf.set(it.id, key);
+    dirty.add(key);
+  }
+
+  for (const month of dirty) {
+    const file = path.join(archiveDir, `${month}.json`);
+    const merged = Array.from(shards.get(month).values()).sort(
+      (a, b) => new Date(b.publishedAt) - new Date(a.publishedAt)
+    );
+    if (!merged.length) {
+      fs.rmSync(file, { force: true });
+      shards.delete(month);
+      continue;
+    }
+    fs.writeFileSync(file, JSON.stringify({ month, items: merged }, null, 2), "utf-8");
+  }
+
+  // index of every shard on disk, newest month first
+  const months = Array.from(shards.keys())
+    .sort()
+    .reverse()
+    .map((month) => ({ month, count: shards.get(month).size }));
+  fs.writeFileSync(
+    path.join(archiveDir, "index.json"),
+    JSON.stringify({ generatedAt: jstNow(), months }, null, 2),
+    "utf-8"
+  );
+  return months;
+}
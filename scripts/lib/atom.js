@@ -0,0 +1,117 @@
+/**
+ * Curated Atom feeds: data/feeds/<TAB>.xml + data/feeds/today.xml
+ * - Same selection as the dashboard: per-tab lists from items.json, today.xml = the app's pickToday()
+ * - Entries carry the source as <author>, tab + tags as <category>, the summary and thumbnail when known
+ * - siteUrl (optional) adds self / alternate links; entry links always point at the article
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { TAB } from "./classify.js";
+import { daysDiffFromNow } from "./dates.js";
+
+export const FEED_MAX_ENTRIES = 50;
+
+// same labels as the sidebar (assets/app.js TABS)
+export const TAB_LABELS = {
+  [TAB.ICT]: "ICT教育",
+  [TAB.INFO1]: "高校情報Ⅰ（授業実践）",
+  [TAB.EXAM]: "共通テスト（情報Ⅰ）",
+  [TAB.AI_EDU]: "生成AI（教育・校務）",
+  [TAB.AI_LATEST]: "生成AI（最新事情・AIツール）",
+  [TAB.MEXT]: "文科省（MEXT）",
+};
+
+const TODAY_BUCKETS = [TAB.ICT, TAB.INFO1, TAB.AI_LATEST, TAB.AI_EDU, TAB.MEXT, TAB.EXAM];
+
+/** assets/app.js pickToday(): top 6 per tab within 7 days, best 20 overall */
+export function pickToday(items, now = new Date()) {
+  const picked = [];
+  for (const b of TODAY_BUCKETS) {
+    const part = items
+      .filter((x) => x.tab === b)
+      .filter((x) => daysDiffFromNow(x.publishedAt || now.toISOString(), now) <= 7 + 0.001)
+      .sort((a, b2) => (b2.score || 0) - (a.score || 0))
+      .slice(0, 6);
+    picked.push(...part);
+  }
+
+  const map = new Map();
+  for (const it of picked) {
+    if (!map.has(it.id)) map.set(it.id, it);
+  }
+
+  return Array.from(map.values())
+    .sort((a, b) => (b.score || 0) - (a.score || 0))
+    .slice(0, 20);
+}
+
+export function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function entryXml(it) {
+  const categories = [
+    `<category term="${escapeXml(it.tab)}" label="${escapeXml(TAB_LABELS[it.tab] || it.tab)}" />`,
+    ...(it.tags || []).map((t) => `<category term="${escapeXml(t)}" />`),
+  ];
+  const summary = it.summary || [it.source, ...(it.tags || [])].filter(Boolean).join(" ｜ ");
+  return [
+    "  <entry>",
+    `    <id>urn:${escapeXml(it.id)}</id>`,
+    `    <title>${escapeXml(it.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(it.url)}" />`,
+    `    <published>${escapeXml(it.publishedAt)}</published>`,
+    `    <updated>${escapeXml(it.publishedAt)}</updated>`,
+    `    <author><name>${escapeXml(it.source)}</name></author>`,
+    ...(it.imageUrl ? [`    <link rel="enclosure" href="${escapeXml(it.imageUrl)}" />`] : []),
+    ...categories.map((c) => `    ${c}`),
+    `    <summary>${escapeXml(summary)}</summary>`,
+    "  </entry>",
+  ].join("\n");
+}
+
+/** { key, title, updated, siteUrl?, items } -> Atom 1.0 document */
+export function buildAtomFeed({ key, title, updated, siteUrl = "", items }) {
+  const base = siteUrl && !siteUrl.endsWith("/") ? siteUrl + "/" : siteUrl;
+  const links = base
+    ? [
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${base}data/feeds/${key}.xml`)}" />`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(base)}" />`,
+      ]
+    : [];
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>urn:info-teacher-radar:feed:${escapeXml(key)}</id>`,
+    `  <title>${escapeXml(`Info Teacher Radar: ${title}`)}</title>`,
+    `  <updated>${escapeXml(updated)}</updated>`,
+    ...links,
+    "  <generator>Info Teacher Radar</generator>",
+    ...items.slice(0, FEED_MAX_ENTRIES).map(entryXml),
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+/** items: the items.json selection (score order). -> ["ICT.xml", ..., "today.xml"] */
+export function writeFeeds(items, feedsDir, { updated, siteUrl = "" } = {}) {
+  fs.mkdirSync(feedsDir, { recursive: true });
+  const written = [];
+  const write = (key, title, list) => {
+    const file = `${key}.xml`;
+    fs.writeFileSync(path.join(feedsDir, file), buildAtomFeed({ key, title, updated, siteUrl, items: list }), "utf-8");
+    written.push(file);
+  };
+
+  for (const tab of Object.values(TAB)) {
+    write(tab, TAB_LABELS[tab], items.filter((x) => x.tab === tab));
+  }
+  write("today", "今日のピックアップ", pickToday(items));
+  return written;
+}
@@ -0,0 +1,137 @@
+/**
+ * Tab & tag classifier: a small engine over scripts/rules.json
+ *
+ * Rules are tried by priority (highest first); the first whose `when` holds decides
+ * the tab. `when` is a list of conditions that must ALL hold; each condition is an
+ * object whose keys are alternatives (ANY may hit):
+ *   text:    keyword in title + url + source
+ *   textAll: every keyword in title + url + source
+ *   url:     substring of the URL
+ *   source:  substring of the source name
+ * Matching is case-insensitive. "@name" (as the whole list or as one entry of it) refers
+ * to rules.lists[name].
+ *
+ * Tags: rule.tags always, then tagSet / tagRules whose `any` keyword is in the text,
+ * then defaultTags when nothing else was added. No rule -> fallback tags, tab = tabHint.
+ *
+ * Units (高校情報Ⅰ 学習指導要領 (1)-(4)): independent of the tab; every `units` entry whose
+ * `any` keyword is in the text adds its number, so one story can map to several units.
+ */
+
+import fs from "node:fs";
+
+export const TAB = {
+  ICT: "ICT",
+  INFO1: "INFO1",
+  EXAM: "EXAM",
+  AI_EDU: "AI_EDU",
+  AI_LATEST: "AI_LATEST",
+  MEXT: "MEXT",
+};
+
+const RULES_PATH = new URL("../rules.json", import.meta.url);
+
+export function loadRules(file = RULES_PATH) {
+  return compileRules(JSON.parse(fs.readFileSync(file, "utf-8")));
+}
+
+function resolveList(value, lists, where) {
+  if (typeof value === "string" && value.startsWith("@")) {
+    const list = lists[value.slice(1)];
+    if (!Array.isArray(list)) throw new Error(`rules: unknown list ${value} in ${where}`);
+    return list.map((k) => k.toLowerCase());
+  }
+  if (!Array.isArray(value)) throw new Error(`rules: expected a keyword list in ${where}`);
+  // "@name" entries inside a list splice that list in
+  return value.flatMap((k) =>
+    typeof k === "string" && k.startsWith("@") ? resolveList(k, lists, where) : [String(k).toLowerCase()]
+  );
+}
+
+/** (1)-(4) of 高校情報Ⅰ */
+export const UNITS = [1, 2, 3, 4];
+
+/** Resolve "@list" references, lowercase keywords, sort by priority */
+export function compileRules(raw) {
+  const lists = raw.lists || {};
+  const compileTagRules = (list, where) =>
+    (list || []).map((tr) => ({ tag: tr.tag, any: resolveList(tr.any, lists, where) }));
+
+  const tagSets = {};
+  for (const [name, list] of Object.entries(raw.tagSets || {})) {
+    tagSets[name] = compileTagRules(list, `tagSets.${name}`);
+  }
+
+  const rules = (raw.rules || []).map((r) => {
+    if (!Object.values(TAB).includes(r.tab)) throw new Error(`rules: ${r.id} has unknown tab ${r.tab}`);
+    if (r.tagSet && !tagSets[r.tagSet]) throw new Error(`rules: ${r.id} has unknown tagSet ${r.tagSet}`);
+    const when = (r.when || []).map((cond) => {
+      const out = {};
+      for (const key of ["text", "textAll", "url", "source"]) {
+        if (cond[key] !== undefined) out[key] = resolveList(cond[key], lists, `${r.id}.when.${key}`);
+      }
+      return out;
+    });
+    return {
+      id: r.id,
+      priority: Number(r.priority) || 0,
+      when,
+      tab: r.tab,
+      tags: r.tags || [],
+      tagRules: [...(r.tagSet ? tagSets[r.tagSet] : []), ...compileTagRules(r.tagRules, r.id)],
+      defaultTags: r.defaultTags || [],
+    };
+  });
+
+  const units = (raw.units || []).map((u) => {
+    if (!UNITS.includes(u.unit)) throw new Error(`rules: unknown unit ${u.unit}`);
+    return { unit: u.unit, label: u.label || "", any: resolveList(u.any, lists, `units.${u.unit}`) };
+  });
+
+  // stable: equal priorities keep file order
+  rules.sort((a, b) => b.priority - a.priority);
+  return { rules, units, fallback: { tags: (raw.fallback && raw.fallback.tags) || [] } };
+}
+
+function conditionHolds(cond, ctx) {
+  if (cond.text && cond.text.some((k) => ctx.text.includes(k))) return true;
+  if (cond.textAll && cond.textAll.every((k) => ctx.text.includes(k))) return true;
+  if (cond.url && cond.url.some((k) => ctx.url.includes(k))) return true;
+  if (cond.source && cond.source.some((k) => ctx.source.includes(k))) return true;
+  return false;
+}
+
+/** -> [1, 4] : every unit with a keyword in the text, ascending */
+function unitsFor(compiled, text) {
+  const hit = new Set();
+  for (const u of compiled.units || []) {
+    if (u.any.some((k) => text.includes(k))) hit.add(u.unit);
+  }
+  return UNITS.filter((n) => hit.has(n));
+}
+
+/**
+ * -> { tab, tags, units, rule } (rule: id of the deciding rule, "" for the fallback)
+ * Units look at the article only (title + summary): a Google News query in `source`
+ * or a word in the URL path says nothing about what the article covers.
+ */
+export function classify(compiled, title, url, source, tabHint, summary = "") {
+  const ctx = {
+    text: `${title} ${url} ${source}`.toLowerCase(),
+    url: String(url || "").toLowerCase(),
+    source: String(source || "").toLowerCase(),
+  };
+  const units = unitsFor(compiled, `${title || ""} ${summary || ""}`.toLowerCase());
+
+  for (const rule of compiled.rules) {
+    if (!rule.when.every((cond) => conditionHolds(cond, ctx))) continue;
+    const extra = rule.tagRules.filter((tr) => tr.any.some((k) => ctx.text.includes(k))).map((tr) => tr.tag);
+    let tags = [...rule.tags, ...extra];
+    if (tags.length === 0) tags = [...rule.defaultTags];
+    return { tab: rule.tab, tags: Array.from(new Set(tags)), units, rule: rule.id };
+  }
+
+  // fallback: trust the tab the source was registered for
+  const tab = tabHint && Object.values(TAB).includes(tabHint) ? tabHint : TAB.ICT;
+  return { tab, tags: [...compiled.fallback.tags], units, rule: "" };
+}
@@ -0,0 +1,112 @@
+/**
+ * Command-line options for scripts/fetch.js and scripts/digest.js
+ * - Unknown flags and bad values throw, so a typo never falls back to a full live run
+ * - --only may be repeated or comma-separated; it matches a source id or name
+ * - --fixtures without --out is a dry run: a trial never writes to data/
+ */
+
+import { parseArgs } from "node:util";
+
+export const USAGE = `Usage: node scripts/fetch.js [options]
+
+  --dry-run           collect and print a summary, write nothing
+  --only <source>     only fetch these sources (id or name; repeat or comma-separate)
+  --out <path>        items.json to write (archive/ and status.json go next to it)
+                      default: data/items.json
+  --days <n>          days of items to keep in items.json (default: 7)
+  --fixtures <dir>    read each source from <dir>/<source id>.<ext> instead of the network;
+                      implies --dry-run unless --out is given
+  -h, --help          show this help`;
+
+export function parseCliArgs(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      "dry-run": { type: "boolean", default: false },
+      only: { type: "string", multiple: true, default: [] },
+      out: { type: "string" },
+      days: { type: "string" },
+      fixtures: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+    strict: true,
+    allowPositionals: false,
+  });
+
+  let days = null;
+  if (values.days !== undefined) {
+    days = Number(values.days);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new Error(`--days expects a positive number, got "${values.days}"`);
+    }
+  }
+
+  return {
+    // fixture data must never overwrite the live data/ files
+    dryRun: values["dry-run"] || Boolean(values.fixtures && !values.out),
+    only: values.only
+      .flatMap((v) => v.split(","))
+      .map((v) => v.trim())
+      .filter(Boolean),
+    out: values.out || null,
+    days,
+    fixtures: values.fixtures || null,
+    help: values.help,
+  };
+}
+
+/** Sources named by --only (id or name, case-insensitive); throws on a name that matches nothing */
+export function selectSources(sources, only) {
+  if (!only || !only.length) return sources;
+  const wanted = only.map((o) => o.toLowerCase());
+  const unknown = wanted.filter(
+    (w) => !sources.some((s) => (s.id || "").toLowerCase() === w || (s.name || "").toLowerCase() === w)
+  );
+  if (unknown.length) throw new Error(`--only: no enabled source named ${unknown.join(", ")}`);
+  return sources.filter((s) =>
+    wanted.includes((s.id || "").toLowerCase()) || wanted.includes((s.name || "").toLowerCase())
+  );
+}
+
+export const DIGEST_USAGE = `Usage: node scripts/digest.js [options]
+
+  --week <YYYY-Www>   ISO week to write (default: the current week, JST)
+  --top <n>           items per tab (default: 5)
+  --no-mext           leave out the 文科省の新着 section
+  --data <dir>        where items.json and archive/ live (default: data)
+  --out <dir>         where to write the digest (default: <data>/digest)
+  -h, --help          show this help`;
+
+export function parseDigestArgs(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      week: { type: "string" },
+      top: { type: "string" },
+      "no-mext": { type: "boolean", default: false },
+      data: { type: "string" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+    strict: true,
+    allowPositionals: false,
+  });
+
+  if (values.week !== undefined && !/^\d{4}-W\d{2}$/.test(values.week)) {
+    throw new Error(`--week expects YYYY-Www (e.g. 2026-W42), got "${values.week}"`);
+  }
+  let top = null;
+  if (values.top !== undefined) {
+    top = Number(values.top);
+    if (!Number.isInteger(top) || top <= 0) throw new Error(`--top expects a positive integer, got "${values.top}"`);
+  }
+
+  return {
+    week: values.week || null,
+    top,
+    mext: !values["no-mext"],
+    data: values.data || null,
+    out: values.out || null,
+    help: values.help,
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Near-duplicate story clustering
+ * - Titles compared as character bigram sets (works for Japanese, no tokenizer)
+ * - One representative per cluster (input order = priority), the rest go to `related`
+ */
+
+const MAX_DAYS_APART = 3;
+const MIN_SHARED_BIGRAMS = 10;
+
+export function normalizeTitle(title) {
+  return String(title || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    // leading labels: 【速報】, [PR], (写真) ...
+    .replace(/^(\s*[【\[(（][^】\])）]{0,12}[】\])）])+/, "")
+    .replace(/[\s\p{P}\p{S}]+/gu, "");
+}
+
+export function bigrams(title) {
+  const s = normalizeTitle(title);
+  const out = new Set();
+  if (s.length === 1) out.add(s);
+  for (let i = 0; i < s.length - 1; i++) out.add(s.slice(i, i + 2));
+  return out;
+}
+
+function overlapCount(a, b) {
+  let n = 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  for (const g of small) if (large.has(g)) n++;
+  return n;
+}
+
+/** Dice coefficient of the bigram sets, 0..1 */
+export function titleSimilarity(a, b) {
+  const A = bigrams(a);
+  const B = bigrams(b);
+  if (!A.size || !B.size) return 0;
+  return (2 * overlapCount(A, B)) / (A.size + B.size);
+}
+
+function numbers(title) {
+  return new Set(String(title || "").normalize("NFKC").match(/\d+/g) || []);
+}
+
+// close rewrite, or one title is (almost) contained in the other;
+// titles whose numbers disagree (令和6年度 / 令和7年度, 第3回 / 第4回) are different stories
+export function isNearDuplicate(a, b) {
+  const na = numbers(a);
+  const nb = numbers(b);
+  if (na.size && nb.size && ![...na].some((n) => nb.has(n))) return false;
+
+  const A = bigrams(a);
+  const B = bigrams(b);
+  const shared = overlapCount(A, B);
+  // short headlines ("生成AI 新機能を発表") share too little to be told apart
+  if (shared < MIN_SHARED_BIGRAMS) return false;
+  const dice = (2 * shared) / (A.size + B.size);
+  return dice >= 0.55 || shared / Math.min(A.size, B.size) >= 0.8;
+}
+
+function daysApart(a, b) {
+  return Math.abs(new Date(a) - new Date(b)) / (1000 * 60 * 60 * 24);
+}
+
+/**
+ * items: already in priority order (best first).
+ * Returns representatives in the same order, each with `related` (possibly empty).
+ * One outlet rarely runs a story twice, so same-source pairs must be near-identical
+ * (keeps "研修を海老名市で実施" and "研修を山形村で実施" apart).
+ */
+export function clusterItems(items) {
+  const clusters = [];
+  for (const item of items) {
+    const home = clusters.find((c) => {
+      if (daysApart(c.rep.publishedAt, item.publishedAt) > MAX_DAYS_APART) return false;
+      if (!isNearDuplicate(c.rep.title, item.title)) return false;
+      return c.rep.source !== item.source || titleSimilarity(c.rep.title, item.title) >= 0.9;
+    });
+    if (home) home.related.push(item);
+    else clusters.push({ rep: item, related: [] });
+  }
+  return clusters.map((c) => ({ ...c.rep, related: c.related }));
+}
@@ -0,0 +1,35 @@
+/**
+ * JST dates for the pipeline
+ * - Every stored timestamp is an ISO string with a +09:00 offset (2026-08-21T07:32:43.000+09:00)
+ * - parsePubDate returns null for a missing or unparseable date; callers decide the fallback
+ */
+
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+export function toJst(date) {
+  return new Date(date.getTime() + JST_OFFSET_MS).toISOString().replace("Z", "+09:00");
+}
+
+export const jstNow = () => toJst(new Date());
+
+export function parsePubDate(pub) {
+  if (!pub) return null;
+  const d = new Date(pub);
+  if (Number.isNaN(d.getTime())) return null;
+  return toJst(d);
+}
+
+export function daysDiffFromNow(iso, now = new Date()) {
+  return (now - new Date(iso)) / (1000 * 60 * 60 * 24);
+}
+
+// the earlier / later of two ISO timestamps, either of which may be missing
+export const earlier = (a, b) => (!a ? b : !b ? a : new Date(a) <= new Date(b) ? a : b);
+export const later = (a, b) => (!a ? b : !b ? a : new Date(a) >= new Date(b) ? a : b);
+
+/** "2026-08" for an ISO date, by the JST calendar ("" when invalid) */
+export function monthKey(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return new Date(d.getTime() + JST_OFFSET_MS).toISOString().slice(0, 7);
+}
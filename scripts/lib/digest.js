@@ -0,0 +1,249 @@
+/**
+ * Weekly digest: data/digest/YYYY-Www.md + .html + index.json
+ * - Weeks are ISO weeks (Monday to Sunday) on the JST calendar
+ * - Top N items per tab by score, grouped by their first tag, with source and date
+ * - Optional section listing the week's notices from mext.go.jp itself
+ * - loadWeekItems rebuilds any week's items from data/items.json + data/archive
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { TAB } from "./classify.js";
+import { jstNow, monthKey, toJst } from "./dates.js";
+import { TAB_LABELS, escapeXml } from "./atom.js";
+import { readJson } from "./archive.js";
+import { clusterItems } from "./cluster.js";
+
+export const DIGEST_PER_TAB = 5;
+const MEXT_MAX = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// newsletter order: classroom first
+const DIGEST_TABS = [TAB.INFO1, TAB.ICT, TAB.AI_EDU, TAB.EXAM, TAB.AI_LATEST, TAB.MEXT];
+
+/** "2026-08-21" for an ISO timestamp, by the JST calendar */
+function jstDate(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return toJst(d).slice(0, 10);
+}
+
+const utcDay = (ymd) => new Date(`${ymd}T00:00:00Z`);
+const ymd = (d) => d.toISOString().slice(0, 10);
+
+/** ISO week of a date, JST: "2026-W42" */
+export function isoWeekKey(date = new Date()) {
+  const d = utcDay(toJst(date).slice(0, 10));
+  const weekday = (d.getUTCDay() + 6) % 7; // Monday = 0
+  const thursday = new Date(d.getTime() + (3 - weekday) * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.ceil(((thursday - Date.UTC(year, 0, 1)) / DAY_MS + 1) / 7);
+  return `${year}-W${String(week).padStart(2, "0")}`;
+}
+
+/** "2026-W42" -> { start: "2026-10-12", end: "2026-10-18" } (Monday..Sunday) */
+export function weekRange(key) {
+  const m = /^(\d{4})-W(\d{2})$/.exec(key || "");
+  if (!m) throw new Error(`Invalid ISO week: ${key}`);
+  const jan4 = new Date(Date.UTC(Number(m[1]), 0, 4));
+  const monday = new Date(jan4.getTime() - ((jan4.getUTCDay() + 6) % 7) * DAY_MS + (Number(m[2]) - 1) * 7 * DAY_MS);
+  return { start: ymd(monday), end: ymd(new Date(monday.getTime() + 6 * DAY_MS)) };
+}
+
+/** items.json first (already clustered), then the archive shards the week touches */
+export function loadWeekItems(dataDir, week) {
+  const { start, end } = weekRange(week);
+  const months = Array.from(new Set([start, end].map((d) => monthKey(`${d}T12:00:00+09:00`))));
+
+  const byId = new Map();
+  const add = (list) => {
+    for (const it of list || []) if (!byId.has(it.id)) byId.set(it.id, it);
+  };
+  const current = readJson(path.join(dataDir, "items.json"), { items: [] }).items || [];
+  add(current.flatMap((x) => [x, ...(x.related || [])]));
+  for (const m of months) add(readJson(path.join(dataDir, "archive", `${m}.json`), { items: [] }).items);
+
+  // archive shards aren't clustered: one entry per story, best score first.
+  // Only this week's items, so a story isn't hidden behind a copy from another week
+  const items = Array.from(byId.values())
+    .filter((it) => {
+      const day = jstDate(it.publishedAt);
+      return day >= start && day <= end;
+    })
+    .sort((a, b) => (b.score || 0) - (a.score || 0) || new Date(b.publishedAt) - new Date(a.publishedAt));
+  return clusterItems(items);
+}
+
+const isMextNotice = (it) => {
+  try {
+    return /(^|\.)mext\.go\.jp$/.test(new URL(it.url).hostname);
+  } catch {
+    return false;
+  }
+};
+
+const digestEntry = (it) => ({
+  title: it.title,
+  url: it.url,
+  source: it.source,
+  publishedAt: it.publishedAt,
+  score: it.score || 0,
+  tags: it.tags || [],
+});
+
+/**
+ * items: scored items (items.json shape). -> {
+ *   week, start, end, generatedAt, count,
+ *   tabs: [{ tab, label, groups: [{ tag, items }] }],
+ *   mext: [items] | null
+ * }
+ */
+export function buildDigest(items, { week = isoWeekKey(), perTab = DIGEST_PER_TAB, mext = true } = {}) {
+  const { start, end } = weekRange(week);
+  const inWeek = items.filter((it) => {
+    const day = jstDate(it.publishedAt);
+    return day >= start && day <= end;
+  });
+
+  const tabs = [];
+  for (const tab of DIGEST_TABS) {
+    const top = inWeek
+      .filter((it) => it.tab === tab)
+      .sort((a, b) => (b.score || 0) - (a.score || 0) || new Date(b.publishedAt) - new Date(a.publishedAt))
+      .slice(0, perTab);
+    if (!top.length) continue;
+
+    // groups in order of their best item
+    const groups = new Map();
+    for (const it of top) {
+      const tag = (it.tags && it.tags[0]) || "その他";
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push(digestEntry(it));
+    }
+    tabs.push({
+      tab,
+      label: TAB_LABELS[tab],
+      groups: Array.from(groups, ([tag, list]) => ({ tag, items: list })),
+    });
+  }
+
+  const mextItems = mext
+    ? inWeek
+        .filter(isMextNotice)
+        .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+        .slice(0, MEXT_MAX)
+        .map(digestEntry)
+    : null;
+
+  return {
+    week,
+    start,
+    end,
+    generatedAt: jstNow(),
+    count: tabs.reduce((n, t) => n + t.groups.reduce((m, g) => m + g.items.length, 0), 0),
+    tabs,
+    mext: mextItems,
+  };
+}
+
+const slashDate = (ymdOrIso) => jstDate(ymdOrIso.length === 10 ? `${ymdOrIso}T00:00:00+09:00` : ymdOrIso).replace(/-/g, "/");
+
+function digestTitle(d) {
+  return `週刊まとめ ${d.week}（${slashDate(d.start)}〜${slashDate(d.end)}）`;
+}
+
+// [ and ] would end the link text early
+const mdText = (s) => String(s || "").replace(/([\\[\]])/g, "\\$1");
+// a space or ( ) would end the link destination early
+const mdUrl = (u) => String(u || "").replace(/[\s()<>]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+
+export function renderDigestMarkdown(d) {
+  const lines = [`# ${digestTitle(d)}`, ""];
+  const entry = (it) =>
+    `- [${mdText(it.title)}](${mdUrl(it.url)}) — ${mdText(it.source || "—")}・${slashDate(it.publishedAt)}`;
+
+  if (!d.tabs.length) lines.push("今週の記事はまだありません。", "");
+  for (const t of d.tabs) {
+    lines.push(`## ${t.label}`, "");
+    for (const g of t.groups) {
+      lines.push(`### ${g.tag}`, "", ...g.items.map(entry), "");
+    }
+  }
+  if (d.mext) {
+    lines.push("## 文科省の新着", "");
+    lines.push(...(d.mext.length ? d.mext.map(entry) : ["今週の新着はありません。"]), "");
+  }
+  return lines.join("\n");
+}
+
+const DIGEST_CSS = `
+  body{font-family:"Noto Sans JP",system-ui,sans-serif;color:#111;max-width:780px;margin:32px auto;padding:0 20px;line-height:1.6}
+  h1{font-size:22px;border-bottom:2px solid #111;padding-bottom:6px}
+  h2{font-size:17px;margin-top:28px;border-left:4px solid #111;padding-left:8px}
+  h3{font-size:14px;color:#6b6f76;margin:14px 0 4px}
+  ul{margin:0;padding-left:20px}
+  li{margin:4px 0}
+  a{color:#111;font-weight:700}
+  .meta{color:#6b6f76;font-size:12px}
+  .footer{margin-top:32px;color:#6b6f76;font-size:12px}
+  @media print{body{margin:0;max-width:none} a{text-decoration:none} h2{break-after:avoid} li{break-inside:avoid}}
+`;
+
+/** Standalone, print-friendly page (no scripts, no external assets) */
+export function renderDigestHtml(d) {
+  const esc = escapeXml;
+  const entry = (it) =>
+    `<li><a href="${esc(it.url)}">${esc(it.title)}</a><br><span class="meta">${esc(it.source || "—")}・${esc(slashDate(it.publishedAt))}</span></li>`;
+
+  const body = [];
+  if (!d.tabs.length) body.push("<p>今週の記事はまだありません。</p>");
+  for (const t of d.tabs) {
+    body.push(`<h2>${esc(t.label)}</h2>`);
+    for (const g of t.groups) {
+      body.push(`<h3>${esc(g.tag)}</h3>`, "<ul>", ...g.items.map(entry), "</ul>");
+    }
+  }
+  if (d.mext) {
+    body.push("<h2>文科省の新着</h2>");
+    body.push(d.mext.length ? ["<ul>", ...d.mext.map(entry), "</ul>"].join("\n") : "<p>今週の新着はありません。</p>");
+  }
+
+  return [
+    "<!doctype html>",
+    '<html lang="ja">',
+    "<head>",
+    '<meta charset="utf-8" />',
+    '<meta name="viewport" content="width=device-width,initial-scale=1" />',
+    `<title>${esc(digestTitle(d))}</title>`,
+    `<style>${DIGEST_CSS}</style>`,
+    "</head>",
+    "<body>",
+    `<h1>${esc(digestTitle(d))}</h1>`,
+    ...body,
+    `<p class="footer">Info Teacher Radar ・ 作成: ${esc(slashDate(d.generatedAt))}</p>`,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+/** Writes <week>.md / <week>.html and updates index.json (newest week first). -> index entries */
+export function writeDigest(d, digestDir) {
+  fs.mkdirSync(digestDir, { recursive: true });
+  fs.writeFileSync(path.join(digestDir, `${d.week}.md`), renderDigestMarkdown(d), "utf-8");
+  fs.writeFileSync(path.join(digestDir, `${d.week}.html`), renderDigestHtml(d), "utf-8");
+
+  const indexPath = path.join(digestDir, "index.json");
+  let digests = [];
+  try {
+    digests = JSON.parse(fs.readFileSync(indexPath, "utf-8")).digests || [];
+  } catch {
+    digests = [];
+  }
+  digests = digests.filter((x) => x.week !== d.week);
+  digests.push({ week: d.week, start: d.start, end: d.end, count: d.count, mext: d.mext ? d.mext.length : 0 });
+  digests.sort((a, b) => (a.week < b.week ? 1 : a.week > b.week ? -1 : 0));
+
+  fs.writeFileSync(indexPath, JSON.stringify({ generatedAt: jstNow(), digests }, null, 2), "utf-8");
+  return digests;
+}
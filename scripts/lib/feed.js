@@ -0,0 +1,154 @@
+/**
+ * Feed parsing (RSS 2.0 / Atom / RSS 1.0 RDF)
+ * - Regex based on purpose: no XML dependency, tolerant of broken feeds
+ * - Every format comes back as { title, url, publishedRaw, description }
+ *   (+ source: { name, url } when an RSS item carries <source>)
+ *   (+ imageUrl when the item has a thumbnail)
+ */
+
+import { decodeEntities, xmlHtml, xmlText } from "./text.js";
+
+export function pickTag(s, tag) {
+  const re = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`, "i");
+  const m = s.match(re);
+  if (!m) return "";
+  // raw content; CDATA and entities are resolved by xmlText()
+  return m[1].trim();
+}
+
+function pickAttr(tagSrc, name) {
+  const re = new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, "i");
+  const m = tagSrc.match(re);
+  return m ? decodeEntities(m[1]) : "";
+}
+
+// "rss" (2.0), "atom" or "rdf" (RSS 1.0)
+export function detectFeedFormat(xml) {
+  const head = xml.slice(0, 2000);
+  if (/<rdf:RDF[\s>]/i.test(head) || /xmlns="http:\/\/purl\.org\/rss\/1\.0\/"/i.test(head))
+    return "rdf";
+  if (/<feed[\s>]/i.test(head) && !/<rss[\s>]/i.test(head)) return "atom";
+  return "rss";
+}
+
+function splitBlocks(xml, tag) {
+  return xml
+    .split(new RegExp(`<${tag}[\\s>]`, "i"))
+    .slice(1)
+    .map((block) => `<${tag} ` + block);
+}
+
+const IMAGE_EXT = /\.(jpe?g|png|gif|webp|avif)([?#]|$)/i;
+
+function absoluteHttpUrl(url, base) {
+  try {
+    const u = new URL(url, base || undefined);
+    return u.protocol === "http:" || u.protocol === "https:" ? u.toString() : "";
+  } catch {
+    return "";
+  }
+}
+
+// Thumbnail, best first: media:thumbnail, an image media:content / enclosure,
+// then the first real <img> in the description (1x1 trackers skipped)
+function pickImage(chunk, descRaw) {
+  const candidates = [];
+  for (const tagSrc of chunk.match(/<(media:thumbnail|media:content|enclosure|link)\b[^>]*>/gi) || []) {
+    const name = tagSrc.slice(1).split(/[\s/>]/)[0].toLowerCase();
+    if (name === "link" && pickAttr(tagSrc, "rel").toLowerCase() !== "enclosure") continue;
+    const url = pickAttr(tagSrc, name === "link" ? "href" : "url");
+    if (!url) continue;
+    if (name === "media:thumbnail") {
+      candidates.push({ rank: 0, url });
+      continue;
+    }
+    const type = pickAttr(tagSrc, "type").toLowerCase();
+    const medium = pickAttr(tagSrc, "medium").toLowerCase();
+    if (type.startsWith("image/") || medium === "image" || (!type && !medium && IMAGE_EXT.test(url))) {
+      candidates.push({ rank: 1, url });
+    }
+  }
+  for (const img of xmlHtml(descRaw).match(/<img\b[^>]*>/gi) || []) {
+    if (/\s(width|height)\s*=\s*["']?1["'\s>/]/i.test(img)) continue;
+    const url = pickAttr(img, "src") || pickAttr(img, "data-src");
+    if (url) candidates.push({ rank: 2, url });
+  }
+  candidates.sort((a, b) => a.rank - b.rank);
+  return candidates.length ? candidates[0].url : "";
+}
+
+function toItem(title, url, publishedRaw, desc, imageRaw = "") {
+  const item = {
+    title: xmlText(title),
+    url: xmlText(url),
+    publishedRaw: xmlText(publishedRaw),
+    description: xmlText(desc),
+  };
+  const imageUrl = imageRaw && absoluteHttpUrl(imageRaw, item.url);
+  if (imageUrl) item.imageUrl = imageUrl;
+  return item;
+}
+
+// RSS 2.0: <item><link>url</link><pubDate>...
+// Aggregators (Google News) add <source url="publisher">name</source>: kept as item.source
+function parseRss2Items(xml) {
+  return splitBlocks(xml, "item").map((chunk) => {
+    const link = pickTag(chunk, "link");
+    const guid = pickTag(chunk, "guid");
+    const pub = pickTag(chunk, "pubDate") || pickTag(chunk, "dc:date");
+    const encoded = pickTag(chunk, "content:encoded");
+    const desc = pickTag(chunk, "description") || encoded;
+    const image = pickImage(chunk, desc + encoded);
+    const item = toItem(pickTag(chunk, "title"), link || guid, pub, desc, image);
+    const src = chunk.match(/<source\b([^>]*)>([\s\S]*?)<\/source>/i);
+    if (src) item.source = { name: xmlText(src[2]), url: pickAttr(`<source${src[1]}>`, "url") };
+    return item;
+  });
+}
+
+// RSS 1.0: <item rdf:about="url"><link>url</link><dc:date>ISO</dc:date>
+function parseRdfItems(xml) {
+  return splitBlocks(xml, "item").map((chunk) => {
+    const about = pickAttr(chunk.slice(0, chunk.indexOf(">") + 1), "rdf:about");
+    const link = pickTag(chunk, "link") || about;
+    const pub = pickTag(chunk, "dc:date") || pickTag(chunk, "pubDate");
+    const desc = pickTag(chunk, "description");
+    return toItem(pickTag(chunk, "title"), link, pub, desc, pickImage(chunk, desc));
+  });
+}
+
+// Atom: <entry><link rel="alternate" href="url"/><published>/<updated>
+function pickAtomLink(chunk) {
+  const links = chunk.match(/<link\b[^>]*>/gi) || [];
+  let fallback = "";
+  for (const l of links) {
+    const href = pickAttr(l, "href");
+    if (!href) continue;
+    const rel = pickAttr(l, "rel").toLowerCase();
+    if (!rel || rel === "alternate") return href;
+    if (!fallback) fallback = href;
+  }
+  if (fallback) return fallback;
+  const id = xmlText(pickTag(chunk, "id"));
+  return /^https?:\/\//i.test(id) ? id : "";
+}
+
+function parseAtomEntries(xml) {
+  return splitBlocks(xml, "entry").map((chunk) => {
+    const pub = pickTag(chunk, "published") || pickTag(chunk, "updated");
+    const desc = pickTag(chunk, "summary") || pickTag(chunk, "content");
+    const image = pickImage(chunk, pickTag(chunk, "content") || desc);
+    return toItem(pickTag(chunk, "title"), pickAtomLink(chunk), pub, desc, image);
+  });
+}
+
+export function parseFeedItems(xml) {
+  const format = detectFeedFormat(xml);
+  const items =
+    format === "atom"
+      ? parseAtomEntries(xml)
+      : format === "rdf"
+      ? parseRdfItems(xml)
+      : parseRss2Items(xml);
+  return items.filter((x) => x.title && x.url);
+}
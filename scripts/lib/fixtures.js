@@ -0,0 +1,30 @@
+/**
+ * Offline fixture mode (fetch.js --fixtures <dir>)
+ * - A source's body is read from <dir>/<source id>.<ext> (feed.xml, page.html, ... any extension)
+ * - Same result shape as createCachedFetcher().get(), so adapters can't tell the difference
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export function createFixtureReader(dir) {
+  const byId = new Map();
+  for (const f of fs.readdirSync(dir)) {
+    const dot = f.lastIndexOf(".");
+    if (dot <= 0) continue;
+    const file = path.join(dir, f);
+    if (!fs.statSync(file).isFile()) continue;
+    byId.set(f.slice(0, dot), file);
+  }
+
+  return {
+    has: (id) => byId.has(id),
+
+    /** -> { body, status: 200, cache: "fixture" }; throws when there is no file for the source */
+    get(id) {
+      const file = byId.get(id);
+      if (!file) throw new Error(`No fixture for ${id} in ${dir}`);
+      return { body: fs.readFileSync(file, "utf-8"), status: 200, cache: "fixture" };
+    },
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Google News RSS items -> original publisher
+ * - Outlet name from <source> or the " - 媒体名" title suffix
+ * - Article URL decoded from the news.google.com/rss/articles/<id> token when the
+ *   token still embeds it (older "CBMi..." ids); otherwise the redirect URL is kept
+ * - Offline only: no request to news.google.com
+ */
+
+function readVarint(buf, pos) {
+  let value = 0;
+  let shift = 0;
+  while (pos < buf.length) {
+    const b = buf[pos++];
+    value += (b & 0x7f) * 2 ** shift;
+    if ((b & 0x80) === 0) return { value, pos };
+    shift += 7;
+    if (shift > 28) break;
+  }
+  return null;
+}
+
+export function isGoogleNewsUrl(url) {
+  try {
+    return new URL(url).hostname === "news.google.com";
+  } catch {
+    return false;
+  }
+}
+
+/** news.google.com/rss/articles/CBMi... -> https://publisher/... (or "" when not decodable) */
+export function decodeGoogleNewsUrl(url) {
+  let id = "";
+  try {
+    const u = new URL(url);
+    if (u.hostname !== "news.google.com") return "";
+    const m = u.pathname.match(/\/articles\/([A-Za-z0-9_-]+)/);
+    id = m ? m[1] : "";
+  } catch {
+    return "";
+  }
+  if (!id) return "";
+
+  const buf = Buffer.from(id, "base64url");
+  // protobuf: field 4 (tag 0x22), length-delimited = the article URL
+  for (let i = 0; i < buf.length - 1; i++) {
+    if (buf[i] !== 0x22) continue;
+    const len = readVarint(buf, i + 1);
+    if (!len || len.pos + len.value > buf.length) continue;
+    const candidate = buf.subarray(len.pos, len.pos + len.value).toString("utf-8");
+    if (/^https?:\/\/[^\s]+$/.test(candidate)) return candidate;
+  }
+  return "";
+}
+
+/** "記事タイトル - ICT教育ニュース" -> { title, outlet } */
+export function splitOutletSuffix(title, outletHint = "") {
+  const t = (title || "").trim();
+  if (outletHint && t.endsWith(` - ${outletHint}`)) {
+    return { title: t.slice(0, -(outletHint.length + 3)).trim(), outlet: outletHint };
+  }
+  const idx = t.lastIndexOf(" - ");
+  if (idx > 0) {
+    const outlet = t.slice(idx + 3).trim();
+    if (outlet && outlet.length <= 40 && !outletHint) return { title: t.slice(0, idx).trim(), outlet };
+  }
+  return { title: t, outlet: outletHint };
+}
+
+/**
+ * parsed feed item (title, url, source?) -> { title, url, outlet, resolved }
+ * outlet is "" when neither <source> nor the title names one.
+ */
+export function resolveGoogleNewsItem(item) {
+  const hint = (item.source && item.source.name) || "";
+  const { title, outlet } = splitOutletSuffix(item.title, hint);
+  const decoded = decodeGoogleNewsUrl(item.url);
+  return {
+    title,
+    url: decoded || item.url,
+    outlet,
+    resolved: !!decoded,
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Polite HTTP fetching for the fetcher
+ * - Global and per-host concurrency limits (queue, FIFO)
+ * - Retries with exponential backoff on timeouts, network errors, 429 and 5xx
+ * - Honors Retry-After (seconds or HTTP date), capped at maxDelayMs
+ * - A waiting retry does not hold a connection slot
+ */
+
+const RETRYABLE_STATUS = (status) => status === 429 || status >= 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class FetchError extends Error {
+  constructor(message, { status = 0, retryable = false } = {}) {
+    super(message);
+    this.name = "FetchError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/** "120" or "Wed, 21 Oct 2026 07:28:00 GMT" -> milliseconds from now (null if absent/invalid) */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (/^\d+$/.test(v)) return parseInt(v, 10) * 1000;
+  const at = Date.parse(v);
+  if (Number.isNaN(at)) return null;
+  return Math.max(0, at - now);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "";
+  }
+}
+
+export function createFetcher({
+  concurrency = 6,
+  perHost = 2,
+  retries = 2,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  timeoutMs = 12000,
+  headers = {},
+  fetchImpl = fetch,
+} = {}) {
+  let active = 0;
+  const activeByHost = new Map();
+  const queue = [];
+
+  function pump() {
+    for (let i = 0; i < queue.length && active < concurrency; ) {
+      const job = queue[i];
+      if ((activeByHost.get(job.host) || 0) >= perHost) {
+        i++;
+        continue;
+      }
+      queue.splice(i, 1);
+      active++;
+      activeByHost.set(job.host, (activeByHost.get(job.host) || 0) + 1);
+      job.resolve();
+    }
+  }
+
+  function acquire(host) {
+    return new Promise((resolve) => {
+      queue.push({ host, resolve });
+      pump();
+    });
+  }
+
+  function release(host) {
+    active--;
+    const n = (activeByHost.get(host) || 1) - 1;
+    if (n <= 0) activeByHost.delete(host);
+    else activeByHost.set(host, n);
+    pump();
+  }
+
+  // one request, no retry; resolves to the Response
+  async function attempt(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetchImpl(url, {
+        ...init,
+        headers: { ...headers, ...(init.headers || {}) },
+        signal: controller.signal,
+      });
+      // read the body inside the timeout too
+      const body = await res.text();
+      return { res, body };
+    } catch (e) {
+      const timedOut = controller.signal.aborted;
+      throw new FetchError(`${timedOut ? "Timeout" : "Network error"} ${url}: ${e.message}`, {
+        retryable: true,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /** -> { status, headers, body } for any status the caller should see (2xx, 304, 4xx) */
+  async function request(url, init = {}) {
+    const host = hostOf(url);
+    for (let n = 0; ; n++) {
+      let waitMs = null;
+      let failure = null;
+
+      await acquire(host);
+      try {
+        const { res, body } = await attempt(url, init);
+        if (!RETRYABLE_STATUS(res.status)) {
+          return { status: res.status, headers: res.headers, body };
+        }
+        failure = new FetchError(`Fetch failed ${res.status} ${url}`, {
+          status: res.status,
+          retryable: true,
+        });
+        waitMs = parseRetryAfter(res.headers.get("retry-after"));
+      } catch (e) {
+        failure = e;
+      } finally {
+        release(host);
+      }
+
+      if (!failure.retryable || n >= retries) throw failure;
+      const backoff = baseDelayMs * 2 ** n + Math.random() * baseDelayMs * 0.25;
+      await sleep(Math.min(waitMs ?? backoff, maxDelayMs));
+    }
+  }
+
+  return { request };
+}
@@ -0,0 +1,81 @@
+/**
+ * Conditional GET cache (ETag / Last-Modified) on top of createFetcher()
+ * - Stored as one JSON file (data/.cache/http.json), keyed by URL
+ * - 304 -> cached body; a failed fetch -> last good body (marked as fallback)
+ * - Entries unused for PRUNE_DAYS are dropped on save
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+const PRUNE_DAYS = 30;
+
+export function createCachedFetcher(fetcher, { file, now = () => new Date() } = {}) {
+  let entries = {};
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+    entries = raw && typeof raw.entries === "object" ? raw.entries : {};
+  } catch {
+    entries = {};
+  }
+
+  /**
+   * -> { body, status, cache } where cache is
+   *    "miss" (fresh 200), "revalidated" (304) or "fallback" (fetch failed, stale copy)
+   * Throws when the fetch fails and nothing is cached.
+   */
+  async function get(url) {
+    const entry = entries[url];
+    const headers = {};
+    if (entry && entry.etag) headers["If-None-Match"] = entry.etag;
+    if (entry && entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+
+    let res;
+    try {
+      res = await fetcher.request(url, { headers });
+    } catch (e) {
+      if (entry && entry.body) {
+        entry.usedAt = now().toISOString();
+        return { body: entry.body, status: e.status || 0, cache: "fallback", error: e };
+      }
+      throw e;
+    }
+
+    if (res.status === 304 && entry && entry.body) {
+      entry.usedAt = now().toISOString();
+      return { body: entry.body, status: 304, cache: "revalidated" };
+    }
+    if (res.status < 200 || res.status >= 300) {
+      const err = new Error(`Fetch failed ${res.status} ${url}`);
+      err.status = res.status;
+      if (entry && entry.body) {
+        entry.usedAt = now().toISOString();
+        return { body: entry.body, status: res.status, cache: "fallback", error: err };
+      }
+      throw err;
+    }
+
+    const etag = res.headers.get("etag");
+    const lastModified = res.headers.get("last-modified");
+    // stored even without validators: it is still the fallback for an outage
+    entries[url] = {
+      etag: etag || "",
+      lastModified: lastModified || "",
+      body: res.body,
+      fetchedAt: now().toISOString(),
+      usedAt: now().toISOString(),
+    };
+    return { body: res.body, status: res.status, cache: "miss" };
+  }
+
+  function save() {
+    const cutoff = now().getTime() - PRUNE_DAYS * 24 * 60 * 60 * 1000;
+    for (const [url, e] of Object.entries(entries)) {
+      if (new Date(e.usedAt || e.fetchedAt).getTime() < cutoff) delete entries[url];
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ entries }), "utf-8");
+  }
+
+  return { get, save };
+}
@@ -0,0 +1,152 @@
+/**
+ * Merge and selection: raw items -> data/items.json
+ * - mergeItems: dedupe by normalised URL, classify, keep firstSeenAt / lastSeenAt across runs, score
+ * - selectRecent: --days window, score order, near-duplicate clustering, MAX_ITEMS cap
+ */
+
+import fs from "node:fs";
+import { classify, loadRules } from "./classify.js";
+import { clusterItems } from "./cluster.js";
+import { daysDiffFromNow, earlier, jstNow, later } from "./dates.js";
+import { scoreBreakdown } from "./score.js";
+import { boostFor } from "./sources.js";
+import { itemId, stripTracking } from "./url.js";
+
+export const DAYS_KEEP = 7;
+export const MAX_ITEMS = 800;
+
+/** Tag & tab mapping (rules: scripts/rules.json) */
+const RULES = loadRules();
+
+export function assignTabAndTags(title, url, source, tabHint, summary = "") {
+  const { tab, tags, units } = classify(RULES, title, url, source, tabHint, summary);
+  return { tab, tags, units };
+}
+
+/** Previous run (data/items.json), clustered copies flattened back out */
+export function loadPreviousItems(outPath) {
+  try {
+    const prev = JSON.parse(fs.readFileSync(outPath, "utf-8"));
+    const items = Array.isArray(prev.items) ? prev.items : [];
+    // clustered copies live under their representative's `related`
+    return items.flatMap((x) => [x, ...(x.related || [])]);
+  } catch {
+    return [];
+  }
+}
+
+// previous output item -> raw item, so it merges like a freshly collected one
+export function previousAsRaw(item, sources) {
+  const src =
+    sources.find((s) => s.id === item.sourceId) || sources.find((s) => s.name === item.source);
+  return {
+    title: item.title,
+    url: item.url,
+    source: item.source,
+    sourceId: src ? src.id : item.sourceId,
+    // an estimated date is just firstSeenAt; don't let it pose as a pubDate
+    publishedAt: item.dateEstimated ? null : item.publishedAt || null,
+    summary: item.summary || "",
+    imageUrl: item.imageUrl || "",
+    firstSeenAt: item.firstSeenAt || item.publishedAt,
+    lastSeenAt: item.lastSeenAt || item.firstSeenAt || item.publishedAt,
+    tabHint: src ? src.tabHint : "",
+    boost: boostFor(item, src, sources),
+  };
+}
+
+/**
+ * rawItems: this run's items first, then previousAsRaw() items.
+ * seenIndex: id -> firstSeenAt for items that already left items.json (archive.js loadSeenIndex).
+ * Returns every merged item, windowing is left to selectRecent().
+ * - firstSeenAt / lastSeenAt survive across runs, also after an item drops out of the window
+ * - publishedAt: the feed's date when there is one, else firstSeenAt (dateEstimated: true)
+ * - summary / imageUrl: the longest summary and the first image any copy had (omitted when empty)
+ */
+export function mergeItems(rawItems, seenIndex = new Map()) {
+  const now = jstNow();
+  const map = new Map();
+
+  for (const r of rawItems) {
+    const url = stripTracking(r.url);
+    const title = (r.title || "").trim();
+    if (!url || !title) continue;
+
+    const id = itemId(url);
+    const base = map.get(id);
+
+    const seen = {
+      pubDate: r.publishedAt || null,
+      // an undated page re-seen after the window keeps the day we first saw it
+      firstSeenAt: earlier(seenIndex.get(id), r.firstSeenAt || now),
+      lastSeenAt: r.lastSeenAt || now,
+      boost: r.boost || 0,
+      summary: r.summary || "",
+      imageUrl: r.imageUrl || "",
+    };
+
+    if (!base) {
+      const { tab, tags, units } = assignTabAndTags(title, url, r.source || "", r.tabHint, r.summary);
+      map.set(id, { id, title, url, source: r.source || "—", sourceId: r.sourceId || "", tab, tags, units, ...seen });
+    } else {
+      const { tags, units } = assignTabAndTags(title, url, r.source || "", r.tabHint, r.summary);
+      map.set(id, {
+        ...base,
+        title: title.length > base.title.length ? title : base.title,
+        tags: Array.from(new Set([...(base.tags || []), ...tags])),
+        units: Array.from(new Set([...base.units, ...units])).sort((a, b) => a - b),
+        pubDate: later(base.pubDate, seen.pubDate),
+        firstSeenAt: earlier(base.firstSeenAt, seen.firstSeenAt),
+        lastSeenAt: later(base.lastSeenAt, seen.lastSeenAt),
+        boost: Math.max(base.boost, seen.boost),
+        summary: seen.summary.length > base.summary.length ? seen.summary : base.summary,
+        imageUrl: base.imageUrl || seen.imageUrl,
+      });
+    }
+  }
+
+  return Array.from(map.values()).map((m) => {
+    const item = {
+      id: m.id,
+      title: m.title,
+      url: m.url,
+      source: m.source,
+      sourceId: m.sourceId,
+      publishedAt: m.pubDate || m.firstSeenAt,
+      dateEstimated: !m.pubDate,
+      firstSeenAt: m.firstSeenAt,
+      lastSeenAt: m.lastSeenAt,
+      tab: m.tab,
+      tags: m.tags,
+      units: m.units,
+    };
+    if (m.summary) item.summary = m.summary;
+    if (m.imageUrl) item.imageUrl = m.imageUrl;
+    item.scoreBreakdown = scoreBreakdown(item, m.boost);
+    item.score = item.scoreBreakdown.reduce((sum, b) => sum + b.points, 0);
+    return item;
+  });
+}
+
+// window + order + cap for data/items.json
+export function selectRecent(allItems, days = DAYS_KEEP) {
+  // keep last 7 days (--days)
+  let items = allItems.filter((x) => daysDiffFromNow(x.publishedAt) <= days + 0.001);
+
+  // sort by score desc then time desc
+  items.sort(
+    (a, b) => (b.score || 0) - (a.score || 0) || new Date(b.publishedAt) - new Date(a.publishedAt)
+  );
+
+  // one card per story: the best-scored copy, other outlets under `related`
+  items = clusterItems(items);
+
+  // cap overall list
+  items = items.slice(0, MAX_ITEMS);
+
+  return items;
+}
+
+export function dedupeAndEnrich(rawItems, days = DAYS_KEEP) {
+  return selectRecent(mergeItems(rawItems), days);
+}
@@ -0,0 +1,124 @@
+/**
+ * MEXT (文部科学省) page adapter
+ * - Reads the date headings on 新着情報-style pages (令和8年8月21日 / 2026年8月21日)
+ * - Keeps links from the content area only (header, footer, menus are dropped)
+ * - Links on pages without date headings come back with publishedAt: null
+ */
+
+import { decodeEntities, htmlToText } from "./text.js";
+
+const ERA_BASE = { 令和: 2018, 平成: 1988 };
+
+// boilerplate link texts that survive the content-area cut on some pages
+const BOILERPLATE_TITLES = [
+  "ページの先頭へ",
+  "ページの先頭に戻る",
+  "このページの先頭へ",
+  "サイトマップ",
+  "お問合せ先",
+  "お問い合わせ",
+  "文部科学省ホーム",
+  "前のページに戻る",
+  "新着情報一覧",
+  "Adobe Acrobat Reader",
+  "Get Adobe",
+];
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+/** "令和8年8月21日" / "令和元年5月1日" / "2026年8月21日" -> "2026-08-21T00:00:00.000+09:00" */
+export function parseJapaneseDate(text) {
+  const s = htmlToText(text).replace(/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0));
+  let m = s.match(/(令和|平成)\s*(元|\d{1,2})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/);
+  let y;
+  let mo;
+  let d;
+  if (m) {
+    y = ERA_BASE[m[1]] + (m[2] === "元" ? 1 : parseInt(m[2], 10));
+    mo = parseInt(m[3], 10);
+    d = parseInt(m[4], 10);
+  } else {
+    m = s.match(/((?:19|20)\d{2})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/);
+    if (!m) return null;
+    y = parseInt(m[1], 10);
+    mo = parseInt(m[2], 10);
+    d = parseInt(m[3], 10);
+  }
+  if (mo < 1 || mo > 12 || d < 1 || d > 31) return null;
+  return `${y}-${pad2(mo)}-${pad2(d)}T00:00:00.000+09:00`;
+}
+
+function cutBlock(html, startRe, endRe) {
+  const start = html.search(startRe);
+  if (start < 0) return "";
+  const rest = html.slice(start);
+  const end = rest.search(endRe);
+  return end > 0 ? rest.slice(0, end) : rest;
+}
+
+/** Content area of a MEXT page: <main>, #contentsMain / #contents / #main, minus chrome */
+export function extractContentArea(html) {
+  let body =
+    cutBlock(html, /<main[\s>]/i, /<\/main>/i) ||
+    cutBlock(html, /<[^>]+id=["'](?:contentsMain|contents|main)["']/i, /<[^>]+id=["']footer["']|<footer[\s>]/i) ||
+    html;
+
+  return body
+    .replace(/<(header|footer|nav|aside)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<(div|ul)\b[^>]*(?:id|class)=["'][^"']*(?:breadcrumb|topicpath|gnav|globalNav|localNav|sideMenu|menu)[^"']*["'][^>]*>[\s\S]*?<\/\1>/gi, " ");
+}
+
+function isBoilerplate(title, href) {
+  if (href.startsWith("#") || /^(javascript|mailto|tel):/i.test(href)) return true;
+  return BOILERPLATE_TITLES.some((b) => title.includes(b));
+}
+
+/**
+ * Links from a MEXT page in document order, each dated by the nearest preceding
+ * date heading. When the page has date headings, links before the first one are
+ * treated as page chrome and dropped.
+ */
+export function parseMextPage(html, baseUrl) {
+  const content = extractContentArea(html);
+  const re =
+    /<(h[1-6]|dt|caption|p|span|div)\b([^>]*)>([\s\S]*?)<\/\1>|<a\s+[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+
+  const links = [];
+  let current = null;
+  let m;
+  while ((m = re.exec(content))) {
+    if (m[1]) {
+      const tag = m[1].toLowerCase();
+      const isHeadingTag = /^(h[1-6]|dt|caption)$/.test(tag) || /date/i.test(m[2]);
+      const text = htmlToText(m[3]);
+      // a heading is a short block that is (mostly) just a date
+      const date =
+        isHeadingTag && text.length <= 24 && !/<a\s/i.test(m[3]) ? parseJapaneseDate(text) : null;
+      if (date) {
+        current = date;
+      } else {
+        // not a date heading: keep scanning inside it for nested headings and links
+        re.lastIndex = m.index + m[0].indexOf(">") + 1;
+      }
+      continue;
+    }
+
+    const href = decodeEntities(m[4]);
+    const title = htmlToText(m[5]);
+    if (!href || title.length < 8) continue;
+    if (isBoilerplate(title, href)) continue;
+
+    let abs = "";
+    try {
+      abs = new URL(href, baseUrl).toString();
+    } catch {
+      continue;
+    }
+    links.push({ title, url: abs, publishedAt: current });
+  }
+
+  const anyDated = links.some((l) => l.publishedAt);
+  return anyDated ? links.filter((l) => l.publishedAt) : links;
+}
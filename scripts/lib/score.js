@@ -0,0 +1,47 @@
+/**
+ * Item scoring
+ * - scoreBreakdown lists every contribution as { reason, points } so the UI can show why an item ranks
+ * - score = sum of the breakdown
+ */
+
+import { TAB } from "./classify.js";
+import { daysDiffFromNow } from "./dates.js";
+
+export const TAB_BOOST = {
+  [TAB.ICT]: 8,
+  [TAB.INFO1]: 6,
+  [TAB.AI_LATEST]: 4,
+  [TAB.AI_EDU]: 3,
+  [TAB.MEXT]: 2,
+  [TAB.EXAM]: 1,
+};
+
+export const TEACH_KEYS = ["授業", "教材", "指導案", "実践", "ワークシート", "評価", "ルーブリック"];
+
+/** item: { source, tab, title, publishedAt }; boost: the source's base boost (sources.json) */
+export function scoreBreakdown(item, boost = 0) {
+  const out = [];
+
+  // per-source base boost (sources.json)
+  if (boost) out.push({ reason: item.source, points: boost });
+
+  // tab boosts (your priority)
+  if (TAB_BOOST[item.tab]) out.push({ reason: `tab:${item.tab}`, points: TAB_BOOST[item.tab] });
+
+  // teaching practice keywords
+  const tt = (item.title || "").toLowerCase();
+  const teachKey = TEACH_KEYS.find((k) => tt.includes(k));
+  if (teachKey) out.push({ reason: `授業キーワード「${teachKey}」`, points: 5 });
+
+  // recency
+  const dd = daysDiffFromNow(item.publishedAt);
+  if (dd <= 1) out.push({ reason: "recency≤1d", points: 6 });
+  else if (dd <= 3) out.push({ reason: "recency≤3d", points: 4 });
+  else if (dd <= 7) out.push({ reason: "recency≤7d", points: 2 });
+
+  return out;
+}
+
+export function computeScore(item, boost = 0) {
+  return scoreBreakdown(item, boost).reduce((sum, b) => sum + b.points, 0);
+}
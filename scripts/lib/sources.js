@@ -0,0 +1,211 @@
+/**
+ * Source registry (scripts/sources.json) and per-type adapters
+ * - An adapter fetches through get(url) -> body and may throw
+ * - collectSource() turns a failure into an empty source plus a status report
+ * - Bodies come from load(url, src): the HTTP cache in production, files in --fixtures mode
+ */
+
+import fs from "node:fs";
+import { parseFeedItems } from "./feed.js";
+import { cleanSummary, decodeEntities, htmlToText } from "./text.js";
+import { parseMextPage } from "./mext.js";
+import { resolveGoogleNewsItem } from "./googlenews.js";
+import { parsePubDate } from "./dates.js";
+import { stripTracking } from "./url.js";
+
+const SOURCES_PATH = new URL("../sources.json", import.meta.url);
+
+/** Enabled registry entries */
+export function loadSources(file = SOURCES_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const list = Array.isArray(raw.sources) ? raw.sources : [];
+  return list.filter((s) => s && s.enabled !== false);
+}
+
+export function googleNewsRssUrl(query) {
+  const q = encodeURIComponent(query);
+  return `https://news.google.com/rss/search?q=${q}&hl=ja&gl=JP&ceid=JP:ja`;
+}
+
+export function parseLinksFromHtml(html, baseUrl) {
+  const links = [];
+  const re = /<a\s+[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const href = decodeEntities(m[1]);
+    const text = htmlToText(m[2]);
+    if (!href) continue;
+    if (href.startsWith("javascript:")) continue;
+
+    let abs = "";
+    try {
+      abs = new URL(href, baseUrl).toString();
+    } catch {
+      continue;
+    }
+
+    if (text.length < 8) continue;
+    links.push({ title: text, url: abs });
+  }
+  return links;
+}
+
+async function collectFromRssFeed(get, feedUrl, sourceName) {
+  const xml = await get(feedUrl);
+  const parsed = parseFeedItems(xml);
+  return parsed.map((p) => ({
+    title: p.title,
+    url: stripTracking(p.url),
+    source: sourceName,
+    publishedAt: parsePubDate(p.publishedRaw), // null = no usable date
+    summary: cleanSummary(p.description, p.title),
+    imageUrl: p.imageUrl || "",
+  }));
+}
+
+async function collectFromLinkPage(get, pageUrl, sourceName, maxLinks) {
+  const html = await get(pageUrl);
+  const links = parseLinksFromHtml(html, pageUrl).slice(0, maxLinks);
+  return links.map((l) => ({
+    title: l.title,
+    url: stripTracking(l.url),
+    source: sourceName,
+    publishedAt: null,
+  }));
+}
+
+// Google News: outlet name as source, publisher URL when the article token embeds it
+async function collectFromGoogleNews(get, query, queryName) {
+  const xml = await get(googleNewsRssUrl(query));
+  return parseFeedItems(xml).map((p) => {
+    const r = resolveGoogleNewsItem(p);
+    return {
+      title: r.title,
+      url: stripTracking(r.url),
+      source: r.outlet || queryName,
+      publishedAt: parsePubDate(p.publishedRaw),
+      // Google News descriptions are mostly "title  outlet"; cleanSummary drops those
+      summary: cleanSummary(p.description, r.title),
+      imageUrl: p.imageUrl || "",
+    };
+  });
+}
+
+// MEXT pages: dated by the 新着情報 headings, content-area links only
+async function collectFromMextPage(get, pageUrl, sourceName, maxLinks) {
+  const html = await get(pageUrl);
+  const links = parseMextPage(html, pageUrl).slice(0, maxLinks);
+  return links.map((l) => ({
+    title: l.title,
+    url: stripTracking(l.url),
+    source: sourceName,
+    publishedAt: l.publishedAt,
+  }));
+}
+
+/** Per-type adapters: (registry entry, get) -> raw items */
+const ADAPTERS = {
+  rss: (src, get) => collectFromRssFeed(get, src.url, src.name),
+  "google-news": (src, get) =>
+    collectFromGoogleNews(get, src.query, src.name || `Google News: ${src.query}`),
+  "html-links": (src, get) => collectFromLinkPage(get, src.url, src.name, src.maxLinks || 60),
+  mext: (src, get) => collectFromMextPage(get, src.url, src.name, src.maxLinks || 60),
+};
+
+// Registry entries a source name refers to ("ITmedia" -> "ITmedia NEWS", ...),
+// so Google News items from a known outlet get that outlet's boost
+function registryMatches(name, sources) {
+  const n = (name || "").toLowerCase();
+  if (!n) return [];
+  return sources.filter((s) => {
+    const sn = (s.name || "").toLowerCase();
+    return sn === n || sn.startsWith(n + " ") || n.startsWith(sn + " ");
+  });
+}
+
+// "https://rss.itmedia.co.jp/..." / "https://www.itmedia.co.jp/..." -> "itmedia.co.jp"
+function siteOf(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+  const keep = /\.(ac|co|ed|go|lg|ne|or)\.jp$/.test(host) ? 3 : 2;
+  return host.split(".").slice(-keep).join(".");
+}
+
+/** item: { source, url }. Its own source's boost, or a registry outlet's matched by name or by site */
+export function boostFor(item, src, sources) {
+  const own = src ? Number(src.boost) || 0 : 0;
+  const site = siteOf(item.url);
+  const bySite = site ? sources.filter((s) => s.url && siteOf(s.url) === site) : [];
+  return Math.max(own, ...[...registryMatches(item.source, sources), ...bySite].map((s) => Number(s.boost) || 0));
+}
+
+/**
+ * One source: run its adapter, never throw, report how it went.
+ * load(url, src) -> { body, status, cache, error? } (httpCache.get or a fixture reader)
+ * -> { items, report }
+ */
+export async function collectSource(src, sources, load) {
+  const report = {
+    id: src.id,
+    name: src.name,
+    type: src.type,
+    url: src.type === "google-news" ? googleNewsRssUrl(src.query) : src.url,
+    ok: false,
+    httpStatus: null,
+    cache: null,
+    itemCount: 0,
+    durationMs: 0,
+    error: "",
+  };
+  const started = Date.now();
+
+  const get = async (url) => {
+    const r = await load(url, src);
+    report.url = url;
+    report.httpStatus = r.status;
+    report.cache = r.cache;
+    if (r.cache === "fallback") {
+      report.error = `cached copy used: ${r.error ? r.error.message : "fetch failed"}`;
+      console.warn("Using cached copy:", src.id, url, report.error);
+    }
+    return r.body;
+  };
+
+  let items = [];
+  try {
+    const adapter = ADAPTERS[src.type];
+    if (!adapter) throw new Error(`Unknown source type: ${src.type}`);
+    const got = await adapter(src, get);
+    items = got.map((it) => ({
+      ...it,
+      sourceId: src.id,
+      tabHint: src.tabHint || "",
+      boost: boostFor(it, src, sources),
+    }));
+    report.ok = !report.error;
+  } catch (e) {
+    report.error = e.message;
+    if (e.status) report.httpStatus = e.status;
+    console.warn("Source failed:", src.id, report.url, e.message);
+  }
+  report.itemCount = items.length;
+  report.durationMs = Date.now() - started;
+  return { items, report };
+}
+
+/**
+ * All sources at once; the fetcher's queue keeps it polite.
+ * Results are concatenated in registry order so runs stay deterministic.
+ * registry: every enabled source (boost lookup), even when only some are fetched
+ */
+export async function collect(sources, { registry = sources, load }) {
+  const results = await Promise.all(sources.map((src) => collectSource(src, registry, load)));
+  return {
+    items: results.flatMap((r) => r.items),
+    reports: results.map((r) => r.report),
+  };
+}
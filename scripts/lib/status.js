@@ -0,0 +1,39 @@
+/**
+ * Per-source health: data/status.json
+ * - lastSuccessAt carries over from the last run, so a failing source shows how stale it is
+ * - Registry sources that weren't fetched this run (--only) keep their previous entry
+ */
+
+import { jstNow } from "./dates.js";
+import { itemId } from "./url.js";
+
+export function buildStatus(reports, rawItems, previousIds, previousStatus, registry = []) {
+  const now = jstNow();
+  const prevById = new Map(((previousStatus && previousStatus.sources) || []).map((s) => [s.id, s]));
+
+  const newCounts = new Map();
+  const counted = new Set();
+  for (const r of rawItems) {
+    const id = itemId(r.url);
+    if (previousIds.has(id) || counted.has(id)) continue;
+    counted.add(id);
+    newCounts.set(r.sourceId, (newCounts.get(r.sourceId) || 0) + 1);
+  }
+
+  const entries = reports.map((r) => {
+    const prev = prevById.get(r.id);
+    return {
+      ...r,
+      newItemCount: newCounts.get(r.id) || 0,
+      lastSuccessAt: r.ok ? now : (prev && prev.lastSuccessAt) || null,
+    };
+  });
+  const fetched = new Map(entries.map((e) => [e.id, e]));
+
+  return {
+    generatedAt: now,
+    sources: registry.length
+      ? registry.map((s) => fetched.get(s.id) || prevById.get(s.id)).filter(Boolean)
+      : entries,
+  };
+}
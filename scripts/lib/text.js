@@ -0,0 +1,157 @@
+/**
+ * Text cleanup shared by the feed parser and the HTML link scraper
+ * - decodeEntities: numeric (&#12354;), hex (&#x2F;) and common named entities
+ * - htmlToText: drop markup, decode, collapse whitespace
+ * - xmlText: element text from a feed, CDATA sections (whole or partial) included
+ */
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  ensp: "\u2002",
+  emsp: "\u2003",
+  thinsp: "\u2009",
+  zwnj: "\u200c",
+  zwj: "\u200d",
+  shy: "\u00ad",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  minus: "−",
+  lsquo: "‘",
+  rsquo: "’",
+  sbquo: "‚",
+  ldquo: "“",
+  rdquo: "”",
+  bdquo: "„",
+  laquo: "«",
+  raquo: "»",
+  lsaquo: "‹",
+  rsaquo: "›",
+  bull: "•",
+  middot: "·",
+  prime: "′",
+  Prime: "″",
+  dagger: "†",
+  Dagger: "‡",
+  para: "¶",
+  sect: "§",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  deg: "°",
+  plusmn: "±",
+  times: "×",
+  divide: "÷",
+  frac12: "½",
+  frac14: "¼",
+  frac34: "¾",
+  sup2: "²",
+  sup3: "³",
+  micro: "µ",
+  yen: "¥",
+  euro: "€",
+  pound: "£",
+  cent: "¢",
+  larr: "←",
+  rarr: "→",
+  uarr: "↑",
+  darr: "↓",
+  harr: "↔",
+  rArr: "⇒",
+  hArr: "⇔",
+  le: "≤",
+  ge: "≥",
+  ne: "≠",
+  infin: "∞",
+  hearts: "♥",
+  star: "☆",
+  starf: "★",
+  check: "✓",
+  iexcl: "¡",
+  iquest: "¿",
+};
+
+function fromCodePoint(n) {
+  if (!Number.isFinite(n) || n <= 0 || n > 0x10ffff) return "";
+  if (n >= 0xd800 && n <= 0xdfff) return "";
+  return String.fromCodePoint(n);
+}
+
+export function decodeEntities(str) {
+  return String(str || "").replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (all, body) => {
+    if (body[0] === "#") {
+      const n = body[1] === "x" || body[1] === "X" ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return fromCodePoint(n) || all;
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, body) ? NAMED_ENTITIES[body] : all;
+  });
+}
+
+function collapseWhitespace(str) {
+  return str.replace(/\s+/g, " ").trim();
+}
+
+export function stripTags(html) {
+  return String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")
+    // block-level tags separate words, inline ones (<b>, <span>, <a>...) do not
+    .replace(/<\/?(br|p|div|li|ul|ol|tr|td|th|h[1-6]|blockquote|section|article|hr|img)\b[^>]*>/gi, " ")
+    .replace(/<[^>]*>/g, "");
+}
+
+// HTML fragment -> plain text (anchor text, CDATA'd descriptions)
+export function htmlToText(html) {
+  return collapseWhitespace(decodeEntities(stripTags(html)));
+}
+
+// Raw element content from a feed -> the HTML it carries.
+// Outside CDATA the content is XML-escaped (often escaped HTML), so decode it once
+// to get the HTML back; CDATA sections are already literal HTML.
+export function xmlHtml(raw) {
+  return String(raw || "")
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map((part) =>
+      part.startsWith("<![CDATA[") ? part.slice(9, -3) : decodeEntities(part)
+    )
+    .join("");
+}
+
+// Raw element content from a feed -> plain text.
+export function xmlText(raw) {
+  return htmlToText(xmlHtml(raw));
+}
+
+export const SUMMARY_MAX = 160;
+
+// feed boilerplate that says nothing about the article
+const SUMMARY_NOISE = [
+  /\s*The post .+ appeared first on .+$/i,
+  /\s*(続きを読む|もっと読む|Read more|Continue reading)\s*(»|›|→|…)?\s*$/i,
+  /\s*(\[(…|&hellip;|\.\.\.)\]|…|\.\.\.)\s*$/,
+];
+
+/**
+ * Plain-text description -> card summary: boilerplate removed, capped at max characters.
+ * "" when it only repeats the title (Google News: "title  outlet") or is too short to help.
+ */
+export function cleanSummary(description, title = "", max = SUMMARY_MAX) {
+  let text = String(description || "").replace(/\s+/g, " ").trim();
+  for (const re of SUMMARY_NOISE) text = text.replace(re, "").trim();
+
+  // title + a few words (an outlet name) adds nothing
+  const fold = (s) => s.normalize("NFKC").replace(/\s+/g, "").toLowerCase();
+  const t = fold(title);
+  const f = fold(text);
+  if (t && f.startsWith(t) && f.length - t.length < 40) return "";
+  if (f.length < 10) return "";
+
+  const chars = Array.from(text);
+  if (chars.length <= max) return text;
+  return chars.slice(0, max - 1).join("").trimEnd() + "…";
+}
@@ -0,0 +1,41 @@
+/**
+ * URL normalisation and item ids
+ * - Tracking parameters (utm_*, fbclid, ...) and a trailing slash don't make a new item
+ * - id = sha1 of the normalised URL, so the same article from two feeds merges
+ */
+
+import crypto from "node:crypto";
+
+const TRACKING_PARAMS = [
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+  "fbclid",
+  "gclid",
+  "yclid",
+  "igshid",
+];
+
+function sha1(s) {
+  return crypto.createHash("sha1").update(s).digest("hex");
+}
+
+export function stripTracking(url) {
+  try {
+    const u = new URL(url);
+    const params = u.searchParams;
+    TRACKING_PARAMS.forEach((k) => params.delete(k));
+    u.search = params.toString() ? "?" + params.toString() : "";
+    let out = u.toString();
+    if (out.endsWith("/") && u.pathname !== "/") out = out.slice(0, -1);
+    return out;
+  } catch {
+    return url;
+  }
+}
+
+export function itemId(url) {
+  return "sha1:" + sha1(stripTracking(url));
+}
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { loadSeenIndex, writeArchive } from "../scripts/lib/archive.js";
+import { mergeItems, selectRecent } from "../scripts/lib/merge.js";
+import { buildStatus } from "../scripts/lib/status.js";
+import { toJst } from "../scripts/lib/dates.js";
+
+const daysAgo = (n) => toJst(new Date(Date.now() - n * 24 * 60 * 60 * 1000));
+
+// an undated MEXT page: no pubDate, so its date is the day it was first seen
+const undated = (over = {}) => ({
+  title: "情報教育の推進（高等学校情報科）",
+  url: "https://www.mext.go.jp/a_menu/shotou/zyouhou/detail/1369613.htm",
+  source: "文部科学省",
+  sourceId: "mext-zyouhou",
+  publishedAt: null,
+  tabHint: "MEXT",
+  boost: 10,
+  ...over,
+});
+
+test("a second run after the 7-day window keeps firstSeenAt from the archive", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "itr-archive-"));
+
+  // run 1, ten days ago
+  const firstSeen = daysAgo(10);
+  const [first] = mergeItems([undated({ firstSeenAt: firstSeen, lastSeenAt: firstSeen })]);
+  writeArchive([first], dir);
+
+  // run 2, today: items.json no longer has it (outside the window), the page is still listed
+  const seenIndex = loadSeenIndex(dir);
+  assert.equal(seenIndex.get(first.id), firstSeen);
+  const merged = mergeItems([undated()], seenIndex);
+  assert.equal(merged[0].firstSeenAt, firstSeen);
+  assert.equal(merged[0].publishedAt, firstSeen);
+  assert.equal(merged[0].dateEstimated, true);
+  assert.equal(selectRecent(merged, 7).length, 0);
+
+  // and it isn't counted as new in status.json
+  const status = buildStatus(
+    [{ id: "mext-zyouhou", name: "文部科学省", ok: true, count: 1 }],
+    [undated()],
+    new Set(seenIndex.keys()),
+    null
+  );
+  assert.equal(status.sources[0].newItemCount, 0);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("loadSeenIndex keeps the earliest firstSeenAt and tolerates a missing directory", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "itr-archive-"));
+  fs.writeFileSync(
+    path.join(dir, "2026-09.json"),
+    JSON.stringify({ month: "2026-09", items: [{ id: "a", firstSeenAt: "2026-09-03T07:00:00+09:00" }] })
+  );
+  fs.writeFileSync(
+    path.join(dir, "2026-10.json"),
+    JSON.stringify({ month: "2026-10", items: [{ id: "a", firstSeenAt: "2026-10-01T07:00:00+09:00" }, { id: "b", firstSeenAt: "2026-10-02T07:00:00+09:00" }] })
+  );
+  const seen = loadSeenIndex(dir);
+  assert.equal(seen.get("a"), "2026-09-03T07:00:00+09:00");
+  assert.equal(seen.size, 2);
+  assert.equal(loadSeenIndex(path.join(dir, "nope")).size, 0);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("writeArchive keeps an id in one shard when its date moves to another month", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "itr-archive-"));
+  const item = (publishedAt, firstSeenAt) => ({ id: "sha1:x", title: "x", url: "https://example.jp/x", publishedAt, firstSeenAt });
+
+  writeArchive([item("2026-09-30T20:00:00+09:00", "2026-09-30T21:00:00+09:00"), { ...item("2026-09-10T09:00:00+09:00"), id: "sha1:y" }], dir);
+  const months = writeArchive([item("2026-10-01T08:00:00+09:00", "2026-10-01T09:00:00+09:00")], dir);
+
+  const read = (m) => JSON.parse(fs.readFileSync(path.join(dir, `${m}.json`), "utf-8")).items;
+  assert.deepEqual(read("2026-09").map((x) => x.id), ["sha1:y"]);
+  assert.deepEqual(read("2026-10").map((x) => x.id), ["sha1:x"]);
+  // the move keeps the earliest firstSeenAt
+  assert.equal(read("2026-10")[0].firstSeenAt, "2026-09-30T21:00:00+09:00");
+  assert.deepEqual(months, [{ month: "2026-10", count: 1 }, { month: "2026-09", count: 1 }]);
+
+  // a shard left empty by a move is removed
+  writeArchive([{ ...item("2026-10-02T09:00:00+09:00"), id: "sha1:y" }], dir);
+  assert.equal(fs.existsSync(path.join(dir, "2026-09.json")), false);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
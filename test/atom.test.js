@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { FEED_MAX_ENTRIES, buildAtomFeed, pickToday, writeFeeds } from "../scripts/lib/atom.js";
+import { detectFeedFormat, parseFeedItems } from "../scripts/lib/feed.js";
+import { toJst } from "../scripts/lib/dates.js";
+
+const daysAgo = (n) => toJst(new Date(Date.now() - n * 24 * 60 * 60 * 1000));
+
+const item = (i, over = {}) => ({
+  id: `sha1:${String(i).padStart(40, "0")}`,
+  title: `記事 ${i}`,
+  url: `https://example.jp/news/${i}`,
+  source: "ICT教育ニュース",
+  publishedAt: daysAgo(1),
+  tab: "ICT",
+  tags: ["ICT教育"],
+  score: 10,
+  ...over,
+});
+
+test("buildAtomFeed escapes text and round-trips through the feed parser", () => {
+  const it = item(1, { title: "校務DX & \"統合型\" 校務支援", url: "https://example.jp/a?x=1&y=2", tags: ["校務DX", "<ICT>"] });
+  const xml = buildAtomFeed({
+    key: "ICT",
+    title: "ICT教育",
+    updated: "2026-08-21T07:00:00.000+09:00",
+    siteUrl: "https://example.github.io/info-teacher-radar",
+    items: [it],
+  });
+  assert.equal(detectFeedFormat(xml), "atom");
+  assert.match(xml, /<link rel="self" type="application\/atom\+xml" href="https:\/\/example\.github\.io\/info-teacher-radar\/data\/feeds\/ICT\.xml" \/>/);
+  assert.match(xml, /<author><name>ICT教育ニュース<\/name><\/author>/);
+  assert.match(xml, /<category term="ICT" label="ICT教育" \/>/);
+  assert.match(xml, /<category term="校務DX" \/>/);
+  assert.match(xml, /<category term="&lt;ICT&gt;" \/>/);
+
+  const [parsed] = parseFeedItems(xml);
+  assert.equal(parsed.title, it.title);
+  assert.equal(parsed.url, it.url);
+  assert.equal(parsed.publishedRaw, it.publishedAt);
+});
+
+test(`buildAtomFeed keeps at most ${FEED_MAX_ENTRIES} entries and omits links without a site URL`, () => {
+  const items = Array.from({ length: FEED_MAX_ENTRIES + 5 }, (_, i) => item(i));
+  const xml = buildAtomFeed({ key: "ICT", title: "ICT教育", updated: daysAgo(0), items });
+  assert.equal(parseFeedItems(xml).length, FEED_MAX_ENTRIES);
+  assert.doesNotMatch(xml, /rel="self"/);
+});
+
+test("pickToday matches the app: 6 per tab within 7 days, best 20 overall", () => {
+  const items = [];
+  let n = 0;
+  for (const tab of ["ICT", "INFO1", "AI_LATEST", "AI_EDU", "MEXT", "EXAM"]) {
+    for (let i = 0; i < 8; i++) items.push(item(n++, { tab, score: 100 - i }));
+  }
+  items.push(item(n++, { tab: "ICT", score: 999, publishedAt: daysAgo(8) }));
+
+  const today = pickToday(items);
+  assert.equal(today.length, 20);
+  assert.ok(today.every((x) => x.score >= 95));
+  assert.ok(!today.some((x) => x.score === 999));
+  for (let i = 1; i < today.length; i++) assert.ok(today[i - 1].score >= today[i].score);
+});
+
+test("writeFeeds writes one feed per tab plus today.xml", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "itr-feeds-"));
+  const written = writeFeeds([item(1), item(2, { tab: "MEXT", tags: [] })], dir, { updated: daysAgo(0) });
+  assert.deepEqual(written.sort(), ["AI_EDU.xml", "AI_LATEST.xml", "EXAM.xml", "ICT.xml", "INFO1.xml", "MEXT.xml", "today.xml"]);
+
+  const read = (f) => parseFeedItems(fs.readFileSync(path.join(dir, f), "utf-8"));
+  assert.deepEqual(read("ICT.xml").map((x) => x.title), ["記事 1"]);
+  assert.deepEqual(read("MEXT.xml").map((x) => x.title), ["記事 2"]);
+  assert.deepEqual(read("EXAM.xml"), []);
+  assert.equal(read("today.xml").length, 2);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,111 @@
+/**
+ * Golden-file test for the classifier.
+ * Replays test/fixtures/classify-golden.json and reports every tab/tag/unit change.
+ * After reviewing an intended change: UPDATE_GOLDEN=1 node --test test/classify.test.js
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { classify, compileRules, loadRules } from "../scripts/lib/classify.js";
+
+const GOLDEN = new URL("./fixtures/classify-golden.json", import.meta.url);
+const rules = loadRules();
+
+test("classifier matches the golden corpus", () => {
+  const golden = JSON.parse(fs.readFileSync(GOLDEN, "utf-8"));
+  const changes = [];
+  const next = golden.map((g) => {
+    const { tab, tags, units } = classify(rules, g.title, g.url, g.source, g.tabHint);
+    const was = g.units || [];
+    if (
+      tab !== g.tab ||
+      JSON.stringify(tags) !== JSON.stringify(g.tags) ||
+      JSON.stringify(units) !== JSON.stringify(was)
+    ) {
+      changes.push(
+        `${g.title}\n    tab:  ${g.tab} -> ${tab}\n    tags: ${g.tags.join(", ")} -> ${tags.join(", ")}` +
+          `\n    units: ${was.join(", ")} -> ${units.join(", ")}`
+      );
+    }
+    return { ...g, tab, tags, units };
+  });
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(GOLDEN, JSON.stringify(next, null, 2) + "\n", "utf-8");
+    return;
+  }
+  assert.equal(changes.length, 0, `${changes.length} classification(s) changed:\n  ${changes.join("\n  ")}`);
+});
+
+test("rules are tried by priority, tags dedupe, fallback uses tabHint", () => {
+  const compiled = compileRules({
+    lists: { ai: ["生成AI"] },
+    rules: [
+      { id: "low", priority: 1, when: [{ text: "@ai" }], tab: "AI_LATEST", tags: ["低"] },
+      {
+        id: "high",
+        priority: 9,
+        when: [{ text: "@ai" }, { url: ["example.jp"] }],
+        tab: "AI_EDU",
+        tags: ["高"],
+        tagRules: [{ tag: "高", any: ["授業"] }],
+      },
+    ],
+    fallback: { tags: ["その他"] },
+  });
+  assert.deepEqual(classify(compiled, "生成AIの授業", "https://example.jp/a", "X", ""), {
+    tab: "AI_EDU",
+    tags: ["高"],
+    units: [],
+    rule: "high",
+  });
+  assert.equal(classify(compiled, "生成AIの授業", "https://other.jp/a", "X", "").rule, "low");
+  assert.deepEqual(classify(compiled, "部活動", "https://other.jp/b", "X", "INFO1"), {
+    tab: "INFO1",
+    tags: ["その他"],
+    units: [],
+    rule: "",
+  });
+});
+
+test("units are independent of the tab and can be several", () => {
+  const breach = classify(
+    rules,
+    "大手通販サイトに不正アクセス、個人情報約10万件が流出の恐れ",
+    "https://www.itmedia.co.jp/news/articles/2610/19/news051.html",
+    "ITmedia NEWS",
+    "AI_LATEST"
+  );
+  assert.equal(breach.rule, "itmedia-news");
+  assert.deepEqual(breach.units, [1, 4]);
+
+  const compiled = compileRules({
+    lists: { sec: ["セキュリティ"] },
+    units: [
+      { unit: 3, any: ["プログラミング"] },
+      { unit: 1, any: ["@sec", "モラル"] },
+    ],
+    fallback: { tags: [] },
+  });
+  assert.deepEqual(classify(compiled, "セキュリティとプログラミング", "", "", "ICT").units, [1, 3]);
+  assert.deepEqual(classify(compiled, "部活動", "", "", "ICT").units, []);
+});
+
+test("units come from the title and summary, not the Google News query or the URL", () => {
+  const source = "Google News: 個人情報 生成AI 学校";
+  const url = "https://example.jp/news/programming-security";
+  assert.deepEqual(classify(rules, "市内の小学校でAI体験教室を開催", url, source, "AI_EDU").units, []);
+  // the same keyword in the summary does count
+  assert.deepEqual(
+    classify(rules, "市内の小学校でAI体験教室を開催", url, source, "AI_EDU", "個人情報の扱いも学んだ").units,
+    [1]
+  );
+});
+
+test("compileRules rejects unknown lists, tabs and units", () => {
+  assert.throws(() => compileRules({ rules: [{ id: "x", tab: "ICT", when: [{ text: "@nope" }] }] }), /unknown list/);
+  assert.throws(() => compileRules({ rules: [{ id: "x", tab: "NOPE", when: [] }] }), /unknown tab/);
+  assert.throws(() => compileRules({ units: [{ unit: 5, any: ["x"] }] }), /unknown unit/);
+  assert.throws(() => compileRules({ units: [{ unit: 1, any: ["@nope"] }] }), /unknown list/);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+
+import { parseCliArgs, parseDigestArgs, selectSources } from "../scripts/lib/cli.js";
+import { createFixtureReader } from "../scripts/lib/fixtures.js";
+
+const FIXTURES = fileURLToPath(new URL("./fixtures/", import.meta.url));
+
+test("parseCliArgs defaults to a full live run", () => {
+  assert.deepEqual(parseCliArgs([]), {
+    dryRun: false,
+    only: [],
+    out: null,
+    days: null,
+    fixtures: null,
+    help: false,
+  });
+});
+
+test("parseCliArgs reads every flag; --only repeats and splits on commas", () => {
+  const opts = parseCliArgs([
+    "--dry-run",
+    "--only", "ict-enews,mext-whatsnew",
+    "--only", "ITmedia NEWS",
+    "--out", "/tmp/items.json",
+    "--days", "30",
+    "--fixtures", "test/fixtures",
+  ]);
+  assert.equal(opts.dryRun, true);
+  assert.deepEqual(opts.only, ["ict-enews", "mext-whatsnew", "ITmedia NEWS"]);
+  assert.equal(opts.out, "/tmp/items.json");
+  assert.equal(opts.days, 30);
+  assert.equal(opts.fixtures, "test/fixtures");
+});
+
+test("parseCliArgs: --fixtures is a dry run unless --out says where to write", () => {
+  assert.equal(parseCliArgs(["--fixtures", "test/fixtures"]).dryRun, true);
+  assert.equal(parseCliArgs(["--fixtures", "test/fixtures", "--out", "/tmp/items.json"]).dryRun, false);
+  assert.equal(parseCliArgs(["--out", "/tmp/items.json"]).dryRun, false);
+});
+
+test("parseCliArgs rejects unknown flags and bad --days", () => {
+  assert.throws(() => parseCliArgs(["--dryrun"]));
+  assert.throws(() => parseCliArgs(["--days", "0"]), /--days/);
+  assert.throws(() => parseCliArgs(["--days", "week"]), /--days/);
+});
+
+test("parseDigestArgs validates --week and --top", () => {
+  assert.deepEqual(parseDigestArgs(["--week", "2026-W42", "--top", "8", "--no-mext"]), {
+    week: "2026-W42",
+    top: 8,
+    mext: false,
+    data: null,
+    out: null,
+    help: false,
+  });
+  assert.equal(parseDigestArgs([]).mext, true);
+  assert.throws(() => parseDigestArgs(["--week", "2026-42"]), /--week/);
+  assert.throws(() => parseDigestArgs(["--top", "2.5"]), /--top/);
+});
+
+test("selectSources matches ids and names, and fails on a typo", () => {
+  const sources = [
+    { id: "ict-enews", name: "ICT教育ニュース" },
+    { id: "itmedia-news", name: "ITmedia NEWS" },
+    { id: "mext-whatsnew", name: "文部科学省 新着情報" },
+  ];
+  assert.equal(selectSources(sources, []), sources);
+  assert.deepEqual(
+    selectSources(sources, ["itmedia news", "MEXT-WHATSNEW"]).map((s) => s.id),
+    ["itmedia-news", "mext-whatsnew"]
+  );
+  assert.throws(() => selectSources(sources, ["ict-enew"]), /ict-enew/);
+});
+
+test("createFixtureReader serves <dir>/<source id>.<ext>", () => {
+  const fixtures = createFixtureReader(FIXTURES);
+  assert.equal(fixtures.has("rss2"), true);
+  assert.equal(fixtures.has("mext-whatsnew"), true);
+  assert.equal(fixtures.has("ict-enews"), false);
+
+  const r = fixtures.get("rss2");
+  assert.equal(r.status, 200);
+  assert.equal(r.cache, "fixture");
+  assert.match(r.body, /^<\?xml/);
+  assert.throws(() => fixtures.get("ict-enews"), /No fixture for ict-enews/);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { clusterItems, isNearDuplicate, normalizeTitle } from "../scripts/lib/cluster.js";
+
+const item = (id, title, source, publishedAt = "2026-08-21T09:00:00.000+09:00") => ({
+  id,
+  title,
+  source,
+  publishedAt,
+});
+
+test("normalizeTitle folds width, case, punctuation and leading labels", () => {
+  assert.equal(normalizeTitle("【速報】ＧＩＧＡスクール、端末更新へ！"), "gigaスクール端末更新へ");
+});
+
+test("isNearDuplicate matches rewrites across outlets", () => {
+  assert.ok(
+    isNearDuplicate(
+      "京都市立衣笠中学校、公開授業研究会「探求的な学習における生成AIの利活用に関する研究」10月開催",
+      "京都市立衣笠中学校が公開授業研究会を10月に開催 生成AIの利活用を研究"
+    )
+  );
+  assert.ok(
+    isNearDuplicate(
+      "学生のAI活用拡大を受け、6割以上が「授業・課題・評価方法」を見直しへ",
+      "《大学のAI活用実態調査》 学生のAI活用拡大を受け、6割以上が「授業・課題・評価方法」を見直しへ - PR TIMES"
+    )
+  );
+});
+
+test("isNearDuplicate keeps short or differently numbered titles apart", () => {
+  assert.equal(isNearDuplicate("生成AI 新機能を発表", "生成AI 新モデルを発表"), false);
+  assert.equal(
+    isNearDuplicate(
+      "GIGAスクール構想の下での校務DXチェックリスト（令和5・6年度）",
+      "GIGAスクール構想の下での校務DXチェックリスト（令和7年度～）"
+    ),
+    false
+  );
+});
+
+test("clusterItems keeps the first copy and attaches the rest as related", () => {
+  const out = clusterItems([
+    item("a", "学生のAI活用拡大を受け、6割以上が「授業・課題・評価方法」を見直しへ", "ICT教育ニュース"),
+    item("b", "情報Ⅰの授業で使えるデータ活用ワークシートを公開", "教育新聞"),
+    item("c", "学生のAI活用拡大を受け、6割以上が授業・課題・評価方法を見直しへ - PR TIMES", "PR TIMES"),
+  ]);
+  assert.deepEqual(
+    out.map((x) => [x.id, x.related.map((r) => r.id)]),
+    [
+      ["a", ["c"]],
+      ["b", []],
+    ]
+  );
+});
+
+test("clusterItems: same outlet or far-apart dates stay separate", () => {
+  const out = clusterItems([
+    item("a", "Polimill、自治体向け生成AI「QommonsAI」の活用研修（初級編）を海老名市で実施", "ICT教育ニュース"),
+    item("b", "Polimill、自治体向け生成AI「QommonsAI」活用研修（初級編）を長野県山形村で実施", "ICT教育ニュース"),
+    item(
+      "c",
+      "Polimill、自治体向け生成AI「QommonsAI」の活用研修（初級編）を海老名市で実施",
+      "PR TIMES",
+      "2026-08-10T09:00:00.000+09:00"
+    ),
+  ]);
+  assert.equal(out.length, 3);
+});
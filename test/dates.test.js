@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { daysDiffFromNow, earlier, later, monthKey, parsePubDate, toJst } from "../scripts/lib/dates.js";
+
+test("parsePubDate turns RFC 822 and ISO dates into JST", () => {
+  assert.equal(parsePubDate("Thu, 20 Aug 2026 22:32:43 +0000"), "2026-08-21T07:32:43.000+09:00");
+  assert.equal(parsePubDate("2026-08-21T09:00:00+09:00"), "2026-08-21T09:00:00.000+09:00");
+  assert.equal(parsePubDate("2026-08-20T15:00:00Z"), "2026-08-21T00:00:00.000+09:00");
+});
+
+test("parsePubDate returns null when there is no usable date", () => {
+  assert.equal(parsePubDate(""), null);
+  assert.equal(parsePubDate(null), null);
+  assert.equal(parsePubDate(undefined), null);
+  assert.equal(parsePubDate("令和8年8月21日"), null);
+  assert.equal(parsePubDate("sometime last week"), null);
+});
+
+test("monthKey uses the JST calendar", () => {
+  assert.equal(monthKey("2026-08-31T16:00:00Z"), "2026-09");
+  assert.equal(monthKey("2026-09-01T00:30:00.000+09:00"), "2026-09");
+  assert.equal(monthKey("nope"), "");
+});
+
+test("daysDiffFromNow measures against the given now", () => {
+  const now = new Date("2026-08-21T00:00:00Z");
+  assert.equal(daysDiffFromNow(toJst(new Date("2026-08-18T00:00:00Z")), now), 3);
+  assert.equal(daysDiffFromNow("2026-08-22T00:00:00Z", now), -1);
+});
+
+test("earlier / later compare instants and skip a missing side", () => {
+  // 08:00 JST is before 00:00 UTC of the same day
+  assert.equal(earlier("2026-08-21T00:00:00Z", "2026-08-21T08:00:00+09:00"), "2026-08-21T08:00:00+09:00");
+  assert.equal(later("2026-08-21T00:00:00Z", "2026-08-21T08:00:00+09:00"), "2026-08-21T00:00:00Z");
+  assert.equal(earlier(undefined, "2026-08-21T00:00:00Z"), "2026-08-21T00:00:00Z");
+  assert.equal(later("2026-08-21T00:00:00Z", ""), "2026-08-21T00:00:00Z");
+});
@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  buildDigest,
+  isoWeekKey,
+  loadWeekItems,
+  renderDigestHtml,
+  renderDigestMarkdown,
+  weekRange,
+  writeDigest,
+} from "../scripts/lib/digest.js";
+
+const item = (n, over = {}) => ({
+  id: `sha1:${n}`,
+  title: `記事 ${n}`,
+  url: `https://example.jp/${n}`,
+  source: "ICT教育ニュース",
+  publishedAt: "2026-10-14T09:00:00.000+09:00",
+  tab: "ICT",
+  tags: ["ICT教育"],
+  score: 10,
+  ...over,
+});
+
+test("isoWeekKey / weekRange follow ISO weeks on the JST calendar", () => {
+  assert.equal(isoWeekKey(new Date("2026-10-14T00:00:00+09:00")), "2026-W42");
+  // Sunday 23:30 JST is still the same week, though UTC says Sunday 14:30
+  assert.equal(isoWeekKey(new Date("2026-10-18T23:30:00+09:00")), "2026-W42");
+  // Monday 00:30 JST starts the next one (UTC is still Sunday)
+  assert.equal(isoWeekKey(new Date("2026-10-19T00:30:00+09:00")), "2026-W43");
+  // year boundaries: 2027-01-01 is a Friday, 2026-01-01 a Thursday
+  assert.equal(isoWeekKey(new Date("2027-01-01T12:00:00+09:00")), "2026-W53");
+  assert.equal(isoWeekKey(new Date("2026-01-01T12:00:00+09:00")), "2026-W01");
+
+  assert.deepEqual(weekRange("2026-W42"), { start: "2026-10-12", end: "2026-10-18" });
+  assert.deepEqual(weekRange("2026-W53"), { start: "2026-12-28", end: "2027-01-03" });
+  assert.deepEqual(weekRange("2026-W01"), { start: "2025-12-29", end: "2026-01-04" });
+  assert.throws(() => weekRange("2026-42"), /Invalid ISO week/);
+});
+
+test("buildDigest: top N per tab within the week, grouped by first tag", () => {
+  const items = [
+    item(1, { score: 30, tags: ["GIGA", "ICT教育"] }),
+    item(2, { score: 20 }),
+    item(3, { score: 25, tags: ["GIGA"] }),
+    item(4, { score: 5 }),
+    item(5, { score: 99, publishedAt: "2026-10-11T23:59:00.000+09:00" }), // previous week
+    item(6, { score: 12, tab: "INFO1", tags: [] }),
+  ];
+  const d = buildDigest(items, { week: "2026-W42", perTab: 3 });
+
+  assert.equal(d.start, "2026-10-12");
+  assert.equal(d.count, 4);
+  // 情報Ⅰ first (newsletter order), then ICT
+  assert.deepEqual(d.tabs.map((t) => t.tab), ["INFO1", "ICT"]);
+  assert.deepEqual(
+    d.tabs[0].groups.map((g) => [g.tag, g.items.map((x) => x.title)]),
+    [["その他", ["記事 6"]]]
+  );
+  assert.deepEqual(
+    d.tabs[1].groups.map((g) => [g.tag, g.items.map((x) => x.title)]),
+    [["GIGA", ["記事 1", "記事 3"]], ["ICT教育", ["記事 2"]]]
+  );
+});
+
+test("buildDigest lists the week's mext.go.jp notices, newest first, unless turned off", () => {
+  const items = [
+    item(1, { tab: "MEXT", url: "https://www.mext.go.jp/b_menu/houdou/a.html", publishedAt: "2026-10-13T00:00:00.000+09:00" }),
+    item(2, { tab: "MEXT", url: "https://www.mext.go.jp/content/b.pdf", publishedAt: "2026-10-16T00:00:00.000+09:00" }),
+    item(3, { tab: "MEXT", url: "https://news.example.jp/mext-story" }),
+  ];
+  assert.deepEqual(
+    buildDigest(items, { week: "2026-W42" }).mext.map((x) => x.title),
+    ["記事 2", "記事 1"]
+  );
+  assert.equal(buildDigest(items, { week: "2026-W42", mext: false }).mext, null);
+});
+
+test("renderDigestMarkdown / renderDigestHtml show source and date and escape text", () => {
+  const d = buildDigest(
+    [item(1, { title: "[速報] <b>GIGA</b> & 端末", source: "教育新聞" })],
+    { week: "2026-W42", mext: false }
+  );
+  const md = renderDigestMarkdown(d);
+  assert.match(md, /^# 週刊まとめ 2026-W42（2026\/10\/12〜2026\/10\/18）/);
+  assert.match(md, /^## ICT教育$/m);
+  assert.match(md, /^- \[\\\[速報\\\] <b>GIGA<\/b> & 端末\]\(https:\/\/example\.jp\/1\) — 教育新聞・2026\/10\/14$/m);
+  assert.doesNotMatch(md, /文科省の新着/);
+  const odd = renderDigestMarkdown(
+    buildDigest([item(2, { url: "https://www.city.example.lg.jp/kyoiku/(R8) 研修.html" })], { week: "2026-W42", mext: false })
+  );
+  assert.match(odd, /\]\(https:\/\/www\.city\.example\.lg\.jp\/kyoiku\/%28R8%29%20研修\.html\) — /);
+
+  const html = renderDigestHtml(d);
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /@media print/);
+  assert.match(html, /\[速報\] &lt;b&gt;GIGA&lt;\/b&gt; &amp; 端末/);
+  assert.doesNotMatch(html, /<script/);
+});
+
+test("writeDigest writes both files and keeps index.json newest first", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "itr-digest-"));
+  writeDigest(buildDigest([item(1)], { week: "2026-W42" }), dir);
+  writeDigest(buildDigest([], { week: "2026-W40" }), dir);
+  const digests = writeDigest(buildDigest([item(1), item(2)], { week: "2026-W42" }), dir);
+
+  assert.deepEqual(
+    digests.map((x) => [x.week, x.count]),
+    [["2026-W42", 2], ["2026-W40", 0]]
+  );
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    "2026-W40.html",
+    "2026-W40.md",
+    "2026-W42.html",
+    "2026-W42.md",
+    "index.json",
+  ]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("loadWeekItems reads items.json and every archive shard the week touches", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "itr-digest-"));
+  const write = (file, items) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), JSON.stringify({ items }), "utf-8");
+  };
+  // 2026-W40 runs from Monday 09-28 to Sunday 10-04
+  write("items.json", [item(1, { publishedAt: "2026-10-04T23:30:00+09:00", score: 20 })]);
+  write("archive/2026-09.json", [item(2, { publishedAt: "2026-09-29T09:00:00+09:00" })]);
+  write("archive/2026-10.json", [item(1, { publishedAt: "2026-10-04T23:30:00+09:00", score: 5 }), item(3, { title: "別の記事" })]);
+
+  const items = loadWeekItems(dir, "2026-W40");
+  // items.json wins over the archive copy of the same id
+  assert.equal(items.find((x) => x.id === "sha1:1").score, 20);
+  const digest = buildDigest(items, { week: "2026-W40" });
+  assert.equal(digest.count, 2);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("loadWeekItems keeps an in-week story clustered under an out-of-week one", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "itr-digest-"));
+  const story = { title: "校務DXの新しい指針を公表", tags: ["校務DX"] };
+  const rep = item(1, { ...story, publishedAt: "2026-10-12T09:00:00+09:00", score: 30 });
+  const inWeek = item(2, { ...story, publishedAt: "2026-10-09T09:00:00+09:00", score: 10 });
+  fs.writeFileSync(path.join(dir, "items.json"), JSON.stringify({ items: [{ ...rep, related: [inWeek] }] }), "utf-8");
+
+  // 2026-W41: 10-05 .. 10-11
+  const items = loadWeekItems(dir, "2026-W41");
+  assert.deepEqual(items.map((x) => x.id), ["sha1:2"]);
+  assert.equal(buildDigest(items, { week: "2026-W41" }).count, 1);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { detectFeedFormat, parseFeedItems } from "../scripts/lib/feed.js";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+
+test("detectFeedFormat tells RSS 2.0, Atom and RDF apart", () => {
+  assert.equal(detectFeedFormat(fixture("rss2.xml")), "rss");
+  assert.equal(detectFeedFormat(fixture("atom.xml")), "atom");
+  assert.equal(detectFeedFormat(fixture("rdf.xml")), "rdf");
+});
+
+test("RSS 2.0 items: CDATA title, link text, guid fallback, pubDate", () => {
+  const items = parseFeedItems(fixture("rss2.xml"));
+  assert.equal(items.length, 2);
+  assert.deepEqual(items[0], {
+    title: "京都市立衣笠中学校、公開授業研究会を10月開催",
+    url: "https://ict-enews.net/2026/08/21city-kyoto/?utm_source=rss&utm_medium=rss",
+    publishedRaw: "Thu, 20 Aug 2026 22:32:43 +0000",
+    description: "生成AIの利活用に関する研究",
+  });
+  assert.equal(items[1].title, "校務DX & 統合型校務支援");
+  assert.equal(items[1].url, "https://ict-enews.net/2026/08/20komu-dx");
+});
+
+test("Atom entries: alternate link href, published then updated", () => {
+  const items = parseFeedItems(fixture("atom.xml"));
+  assert.equal(items.length, 2);
+  assert.equal(items[0].url, "https://example.lg.jp/kyoiku/news/2026/0821.html");
+  assert.equal(items[0].publishedRaw, "2026-08-21T09:00:00+09:00");
+  assert.equal(items[0].description, "夏季研修のご案内です。");
+  assert.equal(items[1].url, "https://example.lg.jp/kyoiku/news/2026/0819.html");
+  assert.equal(items[1].publishedRaw, "2026-08-19T10:30:00+09:00");
+  assert.equal(items[1].description, "端末更新スケジュール");
+});
+
+test("RDF items: dc:date and rdf:about fallback for missing link", () => {
+  const items = parseFeedItems(fixture("rdf.xml"));
+  assert.equal(items.length, 2);
+  assert.deepEqual(items[0], {
+    title: "情報Ⅰ 教科書 指導書を改訂しました",
+    url: "https://example.ac.jp/news/2026/08/info1-textbook.html",
+    publishedRaw: "2026-08-20T15:00:00+09:00",
+    description: "改訂のお知らせ",
+  });
+  assert.equal(items[1].url, "https://example.ac.jp/news/2026/08/data-worksheet.html");
+  assert.equal(items[1].publishedRaw, "2026-08-18T10:00:00+09:00");
+});
+
+test("thumbnails: media:thumbnail first, then image media:content / enclosure, then a real <img>", () => {
+  const items = parseFeedItems(fixture("rss2-media.xml"));
+  assert.equal(items[0].imageUrl, "https://image.itmedia.co.jp/aiplus/articles/2608/20/news101_thumb.jpg");
+  // PDF enclosure ignored; relative <img> in content:encoded resolved against the item link
+  assert.equal(items[1].imageUrl, "https://ict-enews.net/wp-content/uploads/2026/08/data-300x200.png");
+  assert.equal(items[2].imageUrl, "https://example.jp/seminar.jpg");
+  // no image: no key
+  assert.equal("imageUrl" in parseFeedItems(fixture("rss2.xml"))[0], false);
+  assert.equal("imageUrl" in parseFeedItems(fixture("atom.xml"))[0], false);
+});
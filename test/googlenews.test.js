@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { parseFeedItems } from "../scripts/lib/feed.js";
+import { decodeGoogleNewsUrl, resolveGoogleNewsItem, splitOutletSuffix } from "../scripts/lib/googlenews.js";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+
+test("the feed parser keeps the <source> element", () => {
+  const [first] = parseFeedItems(fixture("google-news.xml"));
+  assert.deepEqual(first.source, { name: "ICT教育ニュース", url: "https://ict-enews.net" });
+});
+
+test("decodeGoogleNewsUrl reads the publisher URL out of CBMi tokens", () => {
+  assert.equal(
+    decodeGoogleNewsUrl(
+      "https://news.google.com/rss/articles/CBMiK2h0dHBzOi8vaWN0LWVuZXdzLm5ldC8yMDI2LzA4LzIxY2l0eS1reW90by_SAQA?oc=5"
+    ),
+    "https://ict-enews.net/2026/08/21city-kyoto/"
+  );
+  assert.equal(decodeGoogleNewsUrl("https://news.google.com/rss/articles/AU_yqLPxW9v0bXh5QmZ4c2dGZ3Jtb0NqZk1xQ1pGc0h3"), "");
+  assert.equal(decodeGoogleNewsUrl("https://ict-enews.net/2026/08/21city-kyoto/"), "");
+});
+
+test("splitOutletSuffix prefers the <source> name and keeps inner dashes", () => {
+  assert.deepEqual(splitOutletSuffix("校務を効率化 - 先生の働き方 - ITmedia", "ITmedia"), {
+    title: "校務を効率化 - 先生の働き方",
+    outlet: "ITmedia",
+  });
+  assert.deepEqual(splitOutletSuffix("GIGA端末の更新計画 - 教育新聞"), {
+    title: "GIGA端末の更新計画",
+    outlet: "教育新聞",
+  });
+  assert.deepEqual(splitOutletSuffix("ダッシュのない見出し"), { title: "ダッシュのない見出し", outlet: "" });
+});
+
+test("resolveGoogleNewsItem recovers outlet and article URL where possible", () => {
+  const resolved = parseFeedItems(fixture("google-news.xml")).map(resolveGoogleNewsItem);
+  assert.deepEqual(resolved, [
+    {
+      title: "京都市立衣笠中学校、公開授業研究会を10月開催",
+      url: "https://ict-enews.net/2026/08/21city-kyoto/",
+      outlet: "ICT教育ニュース",
+      resolved: true,
+    },
+    {
+      title: "生成AIで校務を効率化 - 先生の働き方",
+      url: "https://www.itmedia.co.jp/aiplus/articles/2608/20/news101.html",
+      outlet: "ITmedia",
+      resolved: true,
+    },
+    {
+      title: "GIGA端末の更新計画、各地で本格化",
+      url: "https://news.google.com/rss/articles/AU_yqLPxW9v0bXh5QmZ4c2dGZ3Jtb0NqZk1xQ1pGc0h3?oc=5",
+      outlet: "教育新聞",
+      resolved: false,
+    },
+  ]);
+});
@@ -0,0 +1,129 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { createFetcher, parseRetryAfter } from "../scripts/lib/http.js";
+
+// local stub server: every route counts its hits and tracks concurrency
+const hits = new Map();
+let inFlight = 0;
+let maxInFlight = 0;
+const inFlightByHost = new Map();
+const maxByHost = new Map();
+let server;
+let port;
+
+const hit = (path) => {
+  const n = (hits.get(path) || 0) + 1;
+  hits.set(path, n);
+  return n;
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const path = req.url;
+    const n = hit(path);
+    const host = req.headers.host.split(":")[0];
+
+    if (path === "/ok") return res.end("hello");
+    if (path === "/flaky") {
+      if (n <= 2) {
+        res.statusCode = 503;
+        return res.end("busy");
+      }
+      return res.end("recovered");
+    }
+    if (path === "/ratelimit") {
+      if (n === 1) {
+        res.statusCode = 429;
+        res.setHeader("Retry-After", "1");
+        return res.end();
+      }
+      return res.end("after wait");
+    }
+    if (path === "/missing") {
+      res.statusCode = 404;
+      return res.end();
+    }
+    if (path === "/down") {
+      res.statusCode = 500;
+      return res.end();
+    }
+    if (path === "/hang") return; // never answers
+    if (path.startsWith("/slow")) {
+      inFlight++;
+      inFlightByHost.set(host, (inFlightByHost.get(host) || 0) + 1);
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      maxByHost.set(host, Math.max(maxByHost.get(host) || 0, inFlightByHost.get(host)));
+      setTimeout(() => {
+        inFlight--;
+        inFlightByHost.set(host, inFlightByHost.get(host) - 1);
+        res.end("slow");
+      }, 40);
+      return;
+    }
+    res.statusCode = 404;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const url = (path, host = "127.0.0.1") => `http://${host}:${port}${path}`;
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  assert.equal(parseRetryAfter("Wed, 21 Oct 2026 07:28:10 GMT", Date.parse("Wed, 21 Oct 2026 07:28:00 GMT")), 10000);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test("retries 5xx with backoff and returns the later success", async () => {
+  const f = createFetcher({ retries: 2, baseDelayMs: 10 });
+  assert.equal((await f.request(url("/flaky"))).body, "recovered");
+  assert.equal(hits.get("/flaky"), 3);
+});
+
+test("waits for Retry-After on 429", async () => {
+  const f = createFetcher({ retries: 1, baseDelayMs: 10 });
+  const t0 = Date.now();
+  assert.equal((await f.request(url("/ratelimit"))).body, "after wait");
+  assert.ok(Date.now() - t0 >= 900, "should wait about a second");
+});
+
+test("returns other 4xx without retrying", async () => {
+  const f = createFetcher({ retries: 3, baseDelayMs: 10 });
+  assert.equal((await f.request(url("/missing"))).status, 404);
+  assert.equal(hits.get("/missing"), 1);
+});
+
+test("gives up after the retry budget", async () => {
+  const f = createFetcher({ retries: 2, baseDelayMs: 5 });
+  await assert.rejects(f.request(url("/down")), (e) => e.status === 500 && /Fetch failed 500/.test(e.message));
+  assert.equal(hits.get("/down"), 3);
+});
+
+test("timeouts are retried, then reported", async () => {
+  const f = createFetcher({ retries: 1, baseDelayMs: 5, timeoutMs: 50 });
+  await assert.rejects(f.request(url("/hang")), /Timeout/);
+  assert.equal(hits.get("/hang"), 2);
+});
+
+test("honors global and per-host concurrency limits", async () => {
+  const f = createFetcher({ concurrency: 3, perHost: 2 });
+  const jobs = [];
+  for (let i = 0; i < 6; i++) {
+    jobs.push(f.request(url(`/slow?${i}`, "127.0.0.1")));
+    jobs.push(f.request(url(`/slow?${i}`, "localhost")));
+  }
+  await Promise.all(jobs);
+  assert.ok(maxInFlight <= 3, `max in flight ${maxInFlight}`);
+  assert.ok(maxByHost.get("127.0.0.1") <= 2);
+  assert.ok(maxByHost.get("localhost") <= 2);
+  assert.equal(maxInFlight, 3);
+});
@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+import { createFetcher } from "../scripts/lib/http.js";
+import { createCachedFetcher } from "../scripts/lib/httpcache.js";
+
+let server;
+let port;
+let down = false;
+const seen = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    seen.push({ path: req.url, inm: req.headers["if-none-match"], ims: req.headers["if-modified-since"] });
+    if (down) {
+      res.statusCode = 503;
+      return res.end();
+    }
+    if (req.url === "/feed") {
+      if (req.headers["if-none-match"] === '"v1"') {
+        res.statusCode = 304;
+        return res.end();
+      }
+      res.setHeader("ETag", '"v1"');
+      res.setHeader("Last-Modified", "Thu, 20 Aug 2026 00:00:00 GMT");
+      return res.end("<rss>v1</rss>");
+    }
+    if (req.url === "/plain") return res.end("no validators");
+    res.statusCode = 404;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+after(() => server.close());
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), "itr-cache-")), "http.json");
+
+test("revalidates with If-None-Match / If-Modified-Since and reuses the body on 304", async () => {
+  const file = tmpFile();
+  const fetcher = createFetcher({ retries: 0 });
+  const url = `http://127.0.0.1:${port}/feed`;
+
+  const first = createCachedFetcher(fetcher, { file });
+  assert.deepEqual(await first.get(url), { body: "<rss>v1</rss>", status: 200, cache: "miss" });
+  first.save();
+
+  // a new run reads the cache from disk
+  const second = createCachedFetcher(fetcher, { file });
+  assert.deepEqual(await second.get(url), { body: "<rss>v1</rss>", status: 304, cache: "revalidated" });
+  const last = seen.filter((s) => s.path === "/feed").at(-1);
+  assert.equal(last.inm, '"v1"');
+  assert.equal(last.ims, "Thu, 20 Aug 2026 00:00:00 GMT");
+});
+
+test("falls back to the last good copy when the source is down", async () => {
+  const file = tmpFile();
+  const fetcher = createFetcher({ retries: 0 });
+  const url = `http://127.0.0.1:${port}/plain`;
+  const cache = createCachedFetcher(fetcher, { file });
+
+  assert.equal((await cache.get(url)).body, "no validators");
+  down = true;
+  try {
+    const r = await cache.get(url);
+    assert.equal(r.cache, "fallback");
+    assert.equal(r.body, "no validators");
+    await assert.rejects(cache.get(`http://127.0.0.1:${port}/never-cached`), /503/);
+  } finally {
+    down = false;
+  }
+});
+
+test("save() drops entries unused for 30 days", async () => {
+  const file = tmpFile();
+  const fetcher = createFetcher({ retries: 0 });
+  let clock = new Date("2026-08-01T00:00:00Z");
+  const cache = createCachedFetcher(fetcher, { file, now: () => clock });
+  await cache.get(`http://127.0.0.1:${port}/plain`);
+  clock = new Date("2026-09-15T00:00:00Z");
+  cache.save();
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf-8")).entries, {});
+});
@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MAX_ITEMS,
+  assignTabAndTags,
+  dedupeAndEnrich,
+  mergeItems,
+  previousAsRaw,
+  selectRecent,
+} from "../scripts/lib/merge.js";
+import { computeScore } from "../scripts/lib/score.js";
+import { toJst } from "../scripts/lib/dates.js";
+import { itemId } from "../scripts/lib/url.js";
+
+const daysAgo = (n) => toJst(new Date(Date.now() - n * 24 * 60 * 60 * 1000));
+
+const raw = (over = {}) => ({
+  title: "情報Ⅰの授業でデータ活用を扱う実践を公開",
+  url: "https://example.jp/news/1",
+  source: "ICT教育ニュース",
+  sourceId: "ict-enews",
+  publishedAt: daysAgo(1),
+  tabHint: "ICT",
+  boost: 20,
+  ...over,
+});
+
+test("merge: duplicates by normalised URL keep the longest title, union tags and units, widest seen range, best boost", () => {
+  const a = raw({
+    url: "https://example.jp/news/1/?utm_source=rss",
+    title: "生成AI 校務 活用",
+    firstSeenAt: daysAgo(3),
+    lastSeenAt: daysAgo(2),
+    boost: 0,
+  });
+  const b = raw({
+    title: "情報Ⅰ 授業 教材 公開のお知らせ",
+    firstSeenAt: daysAgo(5),
+    lastSeenAt: daysAgo(1),
+  });
+  const [item, ...rest] = mergeItems([a, b]);
+  assert.equal(rest.length, 0);
+
+  assert.equal(item.id, itemId("https://example.jp/news/1"));
+  assert.equal(item.url, "https://example.jp/news/1");
+  assert.equal(item.title, b.title);
+  assert.equal(item.firstSeenAt, b.firstSeenAt);
+  assert.equal(item.lastSeenAt, b.lastSeenAt);
+  // the tab is the first copy's; tags from every copy
+  const first = assignTabAndTags(a.title, item.url, a.source, a.tabHint);
+  const second = assignTabAndTags(b.title, item.url, b.source, b.tabHint);
+  assert.equal(item.tab, first.tab);
+  assert.deepEqual(item.tags, Array.from(new Set([...first.tags, ...second.tags])));
+  assert.deepEqual(item.units, [...new Set([...first.units, ...second.units])].sort((x, y) => x - y));
+  assert.deepEqual(item.scoreBreakdown[0], { reason: "ICT教育ニュース", points: 20 });
+  assert.equal(item.score, computeScore(item, 20));
+});
+
+test("merge: the later pubDate wins between copies", () => {
+  const older = daysAgo(3);
+  const newer = daysAgo(2);
+  const [item] = mergeItems([raw({ publishedAt: newer }), raw({ publishedAt: older })]);
+  assert.equal(item.publishedAt, newer);
+  assert.equal(item.dateEstimated, false);
+});
+
+test("merge: no pubDate falls back to firstSeenAt and is marked estimated", () => {
+  const seen = daysAgo(2);
+  const [item] = mergeItems([raw({ publishedAt: null, firstSeenAt: seen, lastSeenAt: seen })]);
+  assert.equal(item.publishedAt, seen);
+  assert.equal(item.dateEstimated, true);
+
+  // fresh item with no date: now
+  const [fresh] = mergeItems([raw({ publishedAt: null })]);
+  assert.equal(fresh.dateEstimated, true);
+  assert.ok(Math.abs(new Date(fresh.publishedAt) - Date.now()) < 60 * 1000);
+});
+
+test("merge: an estimated date from the last run doesn't pose as a pubDate", () => {
+  const sources = [{ id: "ict-enews", name: "ICT教育ニュース", tabHint: "ICT", boost: 20 }];
+  const [prev] = mergeItems([raw({ publishedAt: null, firstSeenAt: daysAgo(4), lastSeenAt: daysAgo(4) })]);
+  const again = previousAsRaw(prev, sources);
+  assert.equal(again.publishedAt, null);
+  assert.equal(again.boost, 20);
+
+  // the feed now dates it: the real date replaces the estimate, firstSeenAt survives
+  const [item] = mergeItems([raw({ publishedAt: daysAgo(1) }), again]);
+  assert.equal(item.dateEstimated, false);
+  assert.equal(item.firstSeenAt, prev.firstSeenAt);
+});
+
+test("merge: the longest summary and the first image survive, empty ones are omitted", () => {
+  const [item] = mergeItems([
+    raw({ summary: "短い要約です。十文字以上。", imageUrl: "" }),
+    raw({ summary: "こちらの方が長い要約で、記事の内容がよく分かります。", imageUrl: "https://example.jp/a.jpg" }),
+    raw({ summary: "", imageUrl: "https://example.jp/b.jpg" }),
+  ]);
+  assert.equal(item.summary, "こちらの方が長い要約で、記事の内容がよく分かります。");
+  assert.equal(item.imageUrl, "https://example.jp/a.jpg");
+
+  const [bare] = mergeItems([raw({ url: "https://example.jp/bare" })]);
+  assert.equal("summary" in bare, false);
+  assert.equal("imageUrl" in bare, false);
+
+  // carried into the next run
+  const again = previousAsRaw(item, []);
+  assert.equal(again.summary, item.summary);
+  assert.equal(again.imageUrl, item.imageUrl);
+});
+
+test("merge: items without a title or URL are dropped", () => {
+  assert.deepEqual(mergeItems([raw({ title: "  " }), raw({ url: "" })]), []);
+});
+
+test("selectRecent keeps the last 7 days (or --days), best score first", () => {
+  const items = mergeItems([
+    raw({ url: "https://example.jp/a", title: "ICT活用の研修会を開催 第1回", publishedAt: daysAgo(6.9), boost: 0 }),
+    raw({ url: "https://example.jp/b", title: "授業で使えるワークシート集 第2弾", publishedAt: daysAgo(0.5) }),
+    raw({ url: "https://example.jp/c", title: "古いお知らせ 第3版", publishedAt: daysAgo(7.5), boost: 0 }),
+  ]);
+  assert.deepEqual(
+    selectRecent(items).map((x) => x.url),
+    ["https://example.jp/b", "https://example.jp/a"]
+  );
+  assert.deepEqual(
+    selectRecent(items, 30).map((x) => x.url),
+    ["https://example.jp/b", "https://example.jp/a", "https://example.jp/c"]
+  );
+  assert.deepEqual(selectRecent(items, 1).map((x) => x.url), ["https://example.jp/b"]);
+});
+
+test(`selectRecent caps the list at ${MAX_ITEMS} items`, () => {
+  const many = [];
+  for (let i = 0; i < MAX_ITEMS + 50; i++) {
+    many.push(raw({ url: `https://example.jp/n/${i}`, title: `お知らせ ${i} 号`, publishedAt: daysAgo(i / 200) }));
+  }
+  const items = dedupeAndEnrich(many);
+  assert.equal(items.length, MAX_ITEMS);
+  // the newest win among equal scores
+  assert.equal(items[0].url, "https://example.jp/n/0");
+});
+
+test("previousAsRaw: a Google News item on mext.go.jp keeps the MEXT boost in its score", () => {
+  const sources = [
+    { id: "gnews-ict-school", type: "google-news", name: "Google News: ICT教育 学校", tabHint: "ICT", boost: 0 },
+    { id: "mext-whatsnew", type: "mext", name: "文部科学省", url: "https://www.mext.go.jp/a_menu/whatsnew/index.htm", tabHint: "MEXT", boost: 10 },
+  ];
+  const again = previousAsRaw(
+    { ...raw({ source: "文科省ニュース", sourceId: "gnews-ict-school" }), url: "https://www.mext.go.jp/b_menu/houdou/mext_00001.html" },
+    sources
+  );
+  assert.equal(again.boost, 10);
+  const [item] = mergeItems([again]);
+  assert.deepEqual(item.scoreBreakdown[0], { reason: "文科省ニュース", points: 10 });
+  assert.equal(item.score, computeScore(item, 10));
+});
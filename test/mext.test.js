@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { parseJapaneseDate, parseMextPage } from "../scripts/lib/mext.js";
+
+const BASE = "https://www.mext.go.jp/a_menu/whatsnew/index.htm";
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+
+test("parseJapaneseDate understands 令和 / 平成 / western dates", () => {
+  assert.equal(parseJapaneseDate("令和8年8月21日"), "2026-08-21T00:00:00.000+09:00");
+  assert.equal(parseJapaneseDate("令和元年5月7日"), "2019-05-07T00:00:00.000+09:00");
+  assert.equal(parseJapaneseDate("平成31年4月1日"), "2019-04-01T00:00:00.000+09:00");
+  assert.equal(parseJapaneseDate("２０２６年８月１日（金）"), "2026-08-01T00:00:00.000+09:00");
+  assert.equal(parseJapaneseDate("新着情報"), null);
+});
+
+test("parseMextPage dates links by the preceding heading and drops chrome", () => {
+  const links = parseMextPage(fixture("mext-whatsnew.html"), BASE);
+  assert.deepEqual(links, [
+    {
+      title: "高等学校情報科「情報Ⅰ」教員研修用教材の公開について",
+      url: "https://www.mext.go.jp/b_menu/houdou/mext_01234.html",
+      publishedAt: "2026-08-21T00:00:00.000+09:00",
+    },
+    {
+      title: "中央教育審議会 初等中等教育分科会（第150回）配付資料",
+      url: "https://www.mext.go.jp/content/20260821-mxt_jogai01-000012345.pdf",
+      publishedAt: "2026-08-21T00:00:00.000+09:00",
+    },
+    {
+      title: "教育課程部会 情報ワーキンググループ（第5回）議事録",
+      url: "https://www.mext.go.jp/b_menu/shingi/chukyo/chukyo3/siryo/1234567.htm",
+      publishedAt: "2026-08-20T00:00:00.000+09:00",
+    },
+    {
+      title: "学校における働き方改革に関する通知について",
+      url: "https://www.mext.go.jp/a_menu/old/1111.htm",
+      publishedAt: "2019-05-07T00:00:00.000+09:00",
+    },
+  ]);
+});
+
+test("parseMextPage keeps undated content links on pages without date headings", () => {
+  const html = `<header><a href="/">文部科学省ホームページのトップへ</a></header>
+    <main><h1>情報教育の推進</h1>
+      <ul><li><a href="/a_menu/shotou/zyouhou/detail/1369613.htm">高等学校情報科に関する特設ページ</a></li></ul>
+    </main>
+    <footer><a href="/sitemap.htm">サイトマップはこちらから</a></footer>`;
+  const links = parseMextPage(html, "https://www.mext.go.jp/a_menu/shotou/zyouhou/index.htm");
+  assert.deepEqual(links, [
+    {
+      title: "高等学校情報科に関する特設ページ",
+      url: "https://www.mext.go.jp/a_menu/shotou/zyouhou/detail/1369613.htm",
+      publishedAt: null,
+    },
+  ]);
+});
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+
+import { boostFor, collect, collectSource, parseLinksFromHtml } from "../scripts/lib/sources.js";
+import { createFixtureReader } from "../scripts/lib/fixtures.js";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+const fixtures = createFixtureReader(fileURLToPath(new URL("./fixtures/", import.meta.url)));
+// fixture files are named after the feed format, not a source id
+const loadFile = (name) => () => fixtures.get(name);
+
+const REGISTRY = [
+  { id: "ict-enews", type: "rss", name: "ICT教育ニュース", url: "https://ict-enews.net/?feed=rss2", tabHint: "ICT", boost: 20 },
+  { id: "itmedia-news", type: "rss", name: "ITmedia NEWS", url: "https://rss.itmedia.co.jp/rss/2.0/news.xml", tabHint: "AI_LATEST", boost: 6 },
+  { id: "gnews-ict-school", type: "google-news", name: "Google News: ICT教育 学校", query: "ICT教育 学校", tabHint: "ICT", boost: 0 },
+  { id: "mext-whatsnew", type: "mext", name: "文部科学省 新着情報", url: "https://www.mext.go.jp/a_menu/whatsnew/index.htm", tabHint: "MEXT", boost: 10, maxLinks: 60 },
+];
+
+test("RSS adapter: CDATA title, tracking stripped, pubDate in JST, registry fields attached", async () => {
+  const { items, report } = await collectSource(REGISTRY[0], REGISTRY, loadFile("rss2"));
+  assert.deepEqual(items[0], {
+    title: "京都市立衣笠中学校、公開授業研究会を10月開催",
+    url: "https://ict-enews.net/2026/08/21city-kyoto",
+    source: "ICT教育ニュース",
+    publishedAt: "2026-08-21T07:32:43.000+09:00",
+    summary: "生成AIの利活用に関する研究",
+    imageUrl: "",
+    sourceId: "ict-enews",
+    tabHint: "ICT",
+    boost: 20,
+  });
+  assert.equal(items[1].title, "校務DX & 統合型校務支援");
+  assert.equal(report.ok, true);
+  assert.equal(report.itemCount, 2);
+  assert.equal(report.httpStatus, 200);
+});
+
+test("RSS adapter keeps a cleaned summary and the thumbnail", async () => {
+  const { items } = await collectSource(REGISTRY[1], REGISTRY, loadFile("rss2-media"));
+  assert.equal(
+    items[0].summary,
+    "文部科学省のガイドライン改訂を受け、校務での生成AI活用が広がっている。教員の働き方はどう変わるのか、先行する自治体の取り組みを取材した。"
+  );
+  assert.equal(items[0].imageUrl, "https://image.itmedia.co.jp/aiplus/articles/2608/20/news101_thumb.jpg");
+  // description that only repeats the title
+  assert.equal(items[1].summary, "");
+  assert.equal(items[2].summary, "校務DXの最新事例を紹介するセミナーを開催します。");
+});
+
+test("Google News adapter names the outlet and borrows its registry boost", async () => {
+  const { items } = await collectSource(REGISTRY[2], REGISTRY, loadFile("google-news"));
+  assert.ok(items.length > 0);
+  for (const it of items) {
+    assert.notEqual(it.source, "");
+    assert.equal(it.sourceId, "gnews-ict-school");
+  }
+  const gn = (source, url = "https://example.jp/a") => boostFor({ source, url }, REGISTRY[2], REGISTRY);
+  assert.equal(gn("ICT教育ニュース"), 20);
+  assert.equal(gn("ITmedia"), 6);
+  assert.equal(gn("どこかの新聞"), 0);
+  // an unknown outlet name still gets the boost of the site the article is on
+  assert.equal(gn("Yahoo!ニュース", "https://www.itmedia.co.jp/news/articles/2610/19/news001.html"), 6);
+  assert.equal(gn("文科省", "https://www.mext.go.jp/b_menu/houdou/mext_00001.html"), 10);
+  assert.equal(gn("どこかの新聞", "https://news.google.com/rss/articles/abc"), 0);
+});
+
+test("MEXT adapter keeps the heading dates", async () => {
+  const { items } = await collectSource(REGISTRY[3], REGISTRY, loadFile("mext-whatsnew"));
+  assert.ok(items.length > 0);
+  assert.ok(items.every((it) => /^\d{4}-\d{2}-\d{2}T00:00:00\.000\+09:00$/.test(it.publishedAt)));
+});
+
+test("parseLinksFromHtml resolves links, strips markup, skips short/script/empty links", () => {
+  assert.deepEqual(parseLinksFromHtml(fixture("links.html"), "https://example.ed.jp/info/"), [
+    { title: "情報Ⅰ 実践事例集を公開しました", url: "https://example.ed.jp/news/2026/0821.html?utm_source=top&id=7" },
+    { title: "生成AIの利用に関するガイドライン（PDF）", url: "https://example.ed.jp/files/guide.pdf" },
+  ]);
+});
+
+test("a failing source yields no items and a report instead of throwing", async () => {
+  const { items, reports } = await collect(REGISTRY.slice(0, 2), {
+    load: (url, src) => {
+      if (src.id === "itmedia-news") {
+        const err = new Error(`Fetch failed 503 ${url}`);
+        err.status = 503;
+        throw err;
+      }
+      return fixtures.get("rss2");
+    },
+  });
+  assert.equal(items.length, 2);
+  assert.deepEqual(
+    reports.map((r) => [r.id, r.ok, r.httpStatus]),
+    [["ict-enews", true, 200], ["itmedia-news", false, 503]]
+  );
+  assert.match(reports[1].error, /503/);
+});
+
+test("a last-good fallback body still counts as a failure", async () => {
+  const { items, report } = await collectSource(REGISTRY[0], REGISTRY, () => ({
+    ...fixtures.get("rss2"),
+    status: 0,
+    cache: "fallback",
+    error: new Error("timeout"),
+  }));
+  assert.equal(items.length, 2);
+  assert.equal(report.ok, false);
+  assert.equal(report.error, "cached copy used: timeout");
+});
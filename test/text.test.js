@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SUMMARY_MAX, cleanSummary, decodeEntities, htmlToText, xmlText } from "../scripts/lib/text.js";
+import { parseFeedItems } from "../scripts/lib/feed.js";
+
+test("decodeEntities handles numeric, hex and named entities", () => {
+  assert.equal(decodeEntities("&#12354;&#x3044;"), "あい");
+  assert.equal(decodeEntities("a&#x2F;b"), "a/b");
+  assert.equal(decodeEntities("続き&hellip;"), "続き…");
+  assert.equal(decodeEntities("A&nbsp;B"), "A B");
+  assert.equal(decodeEntities("&lt;&amp;&gt;&quot;&#39;&apos;"), "<&>\"''");
+});
+
+test("decodeEntities leaves unknown or invalid entities alone", () => {
+  assert.equal(decodeEntities("&unknown; &#0; &#x110000;"), "&unknown; &#0; &#x110000;");
+  assert.equal(decodeEntities("R&D"), "R&D");
+});
+
+test("htmlToText strips inline markup and collapses whitespace", () => {
+  assert.equal(htmlToText("<b>情報Ⅰ</b>&nbsp;の<br/>授業  \n 実践"), "情報Ⅰ の 授業 実践");
+  assert.equal(htmlToText("<style>.x{}</style>本文<script>var a;</script>"), "本文");
+});
+
+test("xmlText unwraps whole and partial CDATA", () => {
+  assert.equal(xmlText("<![CDATA[校務DX & 生成AI]]>"), "校務DX & 生成AI");
+  assert.equal(xmlText("前半 &amp; <![CDATA[<em>後半</em> & more]]>"), "前半 & 後半 & more");
+  assert.equal(xmlText("&lt;p&gt;escaped &amp;amp; html&lt;/p&gt;"), "escaped & html");
+});
+
+test("feed titles come back clean", () => {
+  const xml = `<rss><channel><item>
+    <title>GIGA&#12473;&#12463;&#12540;&#12523; <![CDATA[<b>第2期</b>]]>&hellip;</title>
+    <link>https://example.jp/a?x=1&amp;y=2</link>
+  </item></channel></rss>`;
+  const [item] = parseFeedItems(xml);
+  assert.equal(item.title, "GIGAスクール 第2期…");
+  assert.equal(item.url, "https://example.jp/a?x=1&y=2");
+});
+
+test("cleanSummary drops boilerplate and title echoes, caps the length", () => {
+  assert.equal(
+    cleanSummary("校務DXの最新事例を紹介します。 続きを読む »", "校務DXセミナー"),
+    "校務DXの最新事例を紹介します。"
+  );
+  assert.equal(
+    cleanSummary("セミナーの事例を紹介します。The post 校務DXセミナー appeared first on Example.", "校務DXセミナー"),
+    "セミナーの事例を紹介します。"
+  );
+  assert.equal(cleanSummary("夏季研修の申込方法のご案内です [&hellip;]", ""), "夏季研修の申込方法のご案内です");
+  // Google News: title + outlet
+  assert.equal(cleanSummary("京都市立衣笠中学校、公開授業研究会を10月開催  ICT教育ニュース", "京都市立衣笠中学校、公開授業研究会を10月開催"), "");
+  assert.equal(cleanSummary("短い", ""), "");
+
+  const long = "あ".repeat(300);
+  const capped = cleanSummary(long, "");
+  assert.equal(Array.from(capped).length, SUMMARY_MAX);
+  assert.ok(capped.endsWith("…"));
+  assert.equal(cleanSummary(long, "", 20), "あ".repeat(19) + "…");
+});
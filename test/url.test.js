@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { itemId, stripTracking } from "../scripts/lib/url.js";
+
+test("stripTracking drops utm_* and click ids, keeps real parameters", () => {
+  assert.equal(
+    stripTracking("https://ict-enews.net/2026/08/21city-kyoto/?utm_source=rss&utm_medium=rss"),
+    "https://ict-enews.net/2026/08/21city-kyoto"
+  );
+  assert.equal(
+    stripTracking("https://example.jp/a?id=7&fbclid=x&gclid=y&utm_campaign=z"),
+    "https://example.jp/a?id=7"
+  );
+  assert.equal(stripTracking("https://example.jp/a?igshid=1&yclid=2&utm_term=3&utm_content=4"), "https://example.jp/a");
+});
+
+test("stripTracking normalises a trailing slash but not the root", () => {
+  assert.equal(stripTracking("https://example.jp/news/"), "https://example.jp/news");
+  assert.equal(stripTracking("https://example.jp/"), "https://example.jp/");
+  assert.equal(stripTracking("https://example.jp"), "https://example.jp/");
+});
+
+test("stripTracking leaves unparseable URLs alone", () => {
+  assert.equal(stripTracking("not a url"), "not a url");
+  assert.equal(stripTracking(""), "");
+});
+
+test("itemId is stable across tracking and slash variants", () => {
+  const a = itemId("https://example.jp/news/1/?utm_source=rss");
+  assert.match(a, /^sha1:[0-9a-f]{40}$/);
+  assert.equal(itemId("https://example.jp/news/1"), a);
+  assert.notEqual(itemId("https://example.jp/news/2"), a);
+});